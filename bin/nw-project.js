@@ -0,0 +1,209 @@
+#!/usr/bin/env node
+// Runs a projection from a plan file and prints a yearly table, CSV or JSON.
+// Reads a bare plan, an exported plan file or a copy of the app's saved state.
+import { readFileSync, writeFileSync } from "node:fs";
+import { parseArgs } from "node:util";
+import {
+  DEFAULT_LOCALE,
+  LOCALES,
+  MAIN_ACCOUNT,
+  PLAN_FILE_FORMAT,
+  PlanValidationError,
+  deflateRow,
+  parsePlanFile,
+  project,
+  projectionToCsv,
+  validatePlan,
+  withFlatValue,
+} from "../src/engine.js";
+
+const USAGE = `Usage: nw-project <plan.json | -> [options]
+
+Output
+  --format <table|csv|json>   Output format (default: table)
+  --output <file>             Write to a file instead of stdout
+  --real                      Amounts in today's money instead of nominal
+  --scenario <name|number>    Scenario to run from a saved state with several (default: the active one)
+  --repair                    Run plans that need repairs instead of failing
+
+Overrides (track values take [FROM-TO=]VALUE and can be repeated)
+  --savings <spec>            Monthly savings, or % of salary in income mode
+  --rate <spec>               Return of the main account in % p.a., may be negative (--rate=-1)
+  --inflation <spec>          Inflation in % p.a., may be negative (--inflation=-1)
+  --withdrawal <spec>         Withdrawal, read by the plan's withdrawal strategy
+  --current-age, --retire-age, --target-age, --end-age <age>
+  --balance <amount>          Current balance
+
+Examples
+  nw-project plan.json --savings 30-60=500 --rate 7
+  nw-project plan.json --format csv --output plan.csv`;
+
+// Override flag, plan track, the ages it covers and whether it takes negative values
+const TRACK_FLAGS = [
+  { flag: "savings", key: "savingsSegs", range: (p) => [p.currentAge, p.retireAge] },
+  { flag: "rate", key: "interestSegs", range: (p) => [p.currentAge, p.endAge], signed: true },
+  { flag: "inflation", key: "inflationSegs", range: (p) => [p.currentAge, p.endAge], signed: true },
+  { flag: "withdrawal", key: "withdrawalSegs", range: (p) => [p.retireAge + 1, p.endAge] },
+];
+const PROFILE_FLAGS = [
+  { flag: "current-age", key: "currentAge" },
+  { flag: "retire-age", key: "retireAge" },
+  { flag: "target-age", key: "targetAge" },
+  { flag: "end-age", key: "endAge" },
+  { flag: "balance", key: "startBalance" },
+];
+const FORMATS = ["table", "csv", "json"];
+const TABLE_COLUMNS = [
+  { key: "total", label: "Total" },
+  { key: "contributions", label: "Contributed" },
+  { key: "interest", label: "Earned" },
+  { key: "withdrawal", label: "Withdrawn" },
+  { key: "lumpSum", label: "One-off" },
+];
+
+class UsageError extends Error {}
+
+function parseNumber(text, flag) {
+  const n = Number(text);
+  if (text === "" || !Number.isFinite(n)) throw new UsageError(`--${flag}: "${text}" is not a number`);
+  return n;
+}
+
+// "500" covers the whole track, "30-60=500" ages 30 to 60 and "45=500" a single age
+function parseTrackSpec(spec, flag, signed) {
+  const match = /^(?:(\d+)(?:-(\d+))?=)?(.+)$/.exec(spec);
+  const value = parseNumber(match[3], flag);
+  if (value < 0 && !signed) throw new UsageError(`--${flag}: values cannot be negative`);
+  if (match[1] === undefined) return { value };
+  const from = Number(match[1]);
+  const to = match[2] === undefined ? from : Number(match[2]);
+  if (from > to) throw new UsageError(`--${flag}: ${from}-${to} is not an age range`);
+  return { from, to, value };
+}
+
+// A track with the given ages set to value; the rest keeps its segments
+function withValueOver(segments, fromAge, toAge, { from = fromAge, to = toAge, value }, flag) {
+  if (from < fromAge || to > toAge) {
+    throw new UsageError(`--${flag}: ages ${from}-${to} fall outside the track's ${fromAge}-${toAge}`);
+  }
+  return withFlatValue(segments, from, to, value);
+}
+
+// The raw plan, its name and the display settings saved with it from any of the JSON shapes
+// the app writes
+function readPlan(text, scenario) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new UsageError("the input is not valid JSON");
+  }
+  if (data?.format === PLAN_FILE_FORMAT) {
+    const { name, settings } = parsePlanFile(text);
+    return { name, plan: data.plan, display: settings.display };
+  }
+  if (Array.isArray(data?.scenarios)) {
+    const scenarios = data.scenarios.filter((sc) => sc && typeof sc === "object");
+    if (scenarios.length === 0) throw new UsageError("the saved state contains no scenarios");
+    let picked;
+    if (scenario === undefined) picked = scenarios.find((sc) => sc.id === data.activeId) || scenarios[0];
+    else if (/^\d+$/.test(scenario)) picked = scenarios[Number(scenario) - 1];
+    else picked = scenarios.find((sc) => sc.name === scenario);
+    if (!picked) throw new UsageError(`no scenario "${scenario}"; found ${scenarios.map((sc) => sc.name).join(", ")}`);
+    return { name: picked.name, plan: picked.plan, display: data.display };
+  }
+  if (data && typeof data === "object" && !Array.isArray(data)) return { name: "Plan", plan: data };
+  throw new UsageError("the input is not a plan");
+}
+
+// Profile overrides first, since they move the ranges the track overrides are checked against
+function applyOverrides(raw, values, repair) {
+  const profile = { ...raw.profile };
+  for (const { flag, key } of PROFILE_FLAGS) {
+    if (values[flag] !== undefined) profile[key] = parseNumber(values[flag], flag);
+  }
+  const { plan, issues } = validatePlan({ ...raw, profile });
+  if (issues.length > 0 && !repair) throw new PlanValidationError(issues);
+  const withTracks = { ...plan };
+  for (const { flag, key, range, signed } of TRACK_FLAGS) {
+    const [fromAge, toAge] = range(plan.profile);
+    for (const spec of values[flag] ?? []) {
+      withTracks[key] = withValueOver(withTracks[key], fromAge, toAge, parseTrackSpec(spec, flag, signed), flag);
+    }
+  }
+  return withTracks;
+}
+
+// Numbers in the locale the app showed the plan in
+function formatTable(name, plan, rows, real, display) {
+  const locale = LOCALES.some((l) => l.key === display?.locale) ? display.locale : DEFAULT_LOCALE;
+  const number = new Intl.NumberFormat(locale, { maximumFractionDigits: 0 });
+  const header = ["Age", ...TABLE_COLUMNS.map((c) => `${c.label} (${plan.currency})`)];
+  const body = rows.map((row) => [String(row.age), ...TABLE_COLUMNS.map((c) => number.format(row[c.key] ?? 0))]);
+  const widths = header.map((h, i) => Math.max(h.length, ...body.map((cells) => cells[i].length)));
+  const line = (cells) => cells.map((cell, i) => cell.padStart(widths[i])).join("  ");
+  const title = `${name}${real ? " · today's money" : ""}`;
+  return [title, "", line(header), ...body.map(line), ""].join("\n");
+}
+
+function run(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      format: { type: "string", default: "table" },
+      output: { type: "string" },
+      real: { type: "boolean", default: false },
+      scenario: { type: "string" },
+      repair: { type: "boolean", default: false },
+      help: { type: "boolean", short: "h", default: false },
+      ...Object.fromEntries(TRACK_FLAGS.map(({ flag }) => [flag, { type: "string", multiple: true }])),
+      ...Object.fromEntries(PROFILE_FLAGS.map(({ flag }) => [flag, { type: "string" }])),
+    },
+  });
+  if (values.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return;
+  }
+  if (positionals.length !== 1) throw new UsageError("expected exactly one plan file");
+  if (!FORMATS.includes(values.format)) throw new UsageError(`--format must be one of ${FORMATS.join(", ")}`);
+
+  const text = readFileSync(positionals[0] === "-" ? 0 : positionals[0], "utf8");
+  const { name, plan: raw, display } = readPlan(text, values.scenario);
+  const plan = applyOverrides(raw ?? {}, values, values.repair);
+  const { decades, rows: nominal, depletionAge } = project(plan);
+  const rows = values.real ? nominal.map(deflateRow) : nominal;
+
+  let output;
+  if (values.format === "csv") {
+    // Account columns as the app exports them, once the plan has more than the main account
+    const accounts = plan.accounts.length > 0 ? [{ ...plan.mainAccount, id: MAIN_ACCOUNT }, ...plan.accounts] : [];
+    output = projectionToCsv(rows, decades, accounts, plan.tax.enabled, { currency: plan.currency });
+  } else if (values.format === "json") {
+    output = `${JSON.stringify({ name, real: values.real, depletionAge, plan, rows }, null, 2)}\n`;
+  } else {
+    output = formatTable(name, plan, rows, values.real, display);
+    if (depletionAge !== null) output += `\nMoney runs out during age ${depletionAge}.\n`;
+  }
+  if (values.output) writeFileSync(values.output, output);
+  else process.stdout.write(output);
+}
+
+try {
+  run(process.argv.slice(2));
+} catch (e) {
+  if (e instanceof PlanValidationError) {
+    process.stderr.write(`nw-project: the plan needs repairs (use --repair to run it anyway):\n`);
+    e.issues.forEach((issue) => process.stderr.write(`  - ${issue}\n`));
+    process.exitCode = 1;
+  } else if (e instanceof UsageError || e.code?.startsWith("ERR_PARSE_ARGS")) {
+    process.stderr.write(`nw-project: ${e.message}\nRun nw-project --help for usage.\n`);
+    process.exitCode = 2;
+  } else if (e.code === "ENOENT") {
+    process.stderr.write(`nw-project: cannot read ${e.path}\n`);
+    process.exitCode = 1;
+  } else {
+    process.stderr.write(`nw-project: ${e.message}\n`);
+    process.exitCode = 1;
+  }
+}
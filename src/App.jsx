@@ -1,192 +1,675 @@
-import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { Fragment, createContext, useCallback, useContext, useEffect, useId, useMemo, useRef, useState } from "react";
 import {
   Area,
   AreaChart,
+  Bar,
+  BarChart,
   CartesianGrid,
   Cell,
   Legend,
+  Line,
+  LineChart,
   Pie,
   PieChart,
+  ReferenceDot,
+  ReferenceLine,
   ResponsiveContainer,
   Tooltip,
   XAxis,
   YAxis,
 } from "recharts";
+import {
+  ASSET_CLASSES,
+  CHURCH_TAX_OPTIONS,
+  COMPOUNDING_FREQUENCIES,
+  CONTRIBUTION_TIMINGS,
+  CURRENCIES,
+  DATE_PATTERN,
+  DEFAULT_CURRENCY,
+  DEFAULT_EVENT_AMOUNT,
+  DEFAULT_GOAL_AMOUNT,
+  DEFAULT_INTEREST,
+  DEFAULT_LOCALE,
+  DEFAULT_SAVINGS,
+  DEFAULT_SEGMENT_GROWTH,
+  DEFAULT_SENSITIVITY,
+  DEFAULT_SIMULATION,
+  ENGINE_TASKS,
+  GOAL_TYPES,
+  GOAL_WITHDRAWAL_RATE,
+  HEATMAP_STEPS,
+  LOCALES,
+  MAIN_ACCOUNT,
+  MAX_ACCOUNTS,
+  MONTH_PATTERN,
+  SAVINGS_MODES,
+  SEGMENT_TYPES,
+  SOLVER_MAX_RATE,
+  TEILFREISTELLUNG,
+  WITHDRAWAL_STRATEGIES,
+  accountKey,
+  ageOnDate,
+  createId,
+  defaultAccount,
+  defaultPlan,
+  defaultSavingsSegs,
+  defaultWithdrawalSegs,
+  deflateRow,
+  depletionAge,
+  divergenceAge,
+  goalTarget,
+  isoDate,
+  moveDivider,
+  normalizeActuals,
+  normalizeCompounding,
+  normalizeEvents,
+  normalizeFees,
+  normalizeGlidePath,
+  normalizeGoals,
+  normalizePlan,
+  normalizeSensitivity,
+  normalizeSimulation,
+  normalizeTax,
+  parsePlanFile,
+  perYearToSegments,
+  planHasFees,
+  probabilityOfTarget,
+  projectedAtAge,
+  projectionToCsv,
+  removeDivider,
+  runSteps,
+  segmentValueAt,
+  segmentsToPerYear,
+  serializePlanFile,
+  splitSegment,
+  validatePlan,
+  withFlatValue,
+  withGoalRate,
+  withGoalSavings,
+} from "./engine";
 
 /* ─── Constants ─── */
-const AGES = Array.from({ length: 43 }, (_, i) => i + 18);
-const PROJECTION_END = 65;
 const STORAGE_KEY = "nw-proj-v2";
+const MAX_HISTORY = 50; // undo steps kept per scenario
+const HISTORY_IDLE_MS = 500; // edits closer together than this form one undo step
 
-const DECADES = [
-  { key: "d18", label: "18–29", from: 18, to: 29, color: "#E8927C" },
-  { key: "d30", label: "30–39", from: 30, to: 39, color: "#F2C14E" },
-  { key: "d40", label: "40–49", from: 40, to: 49, color: "#4ECDC4" },
-  { key: "d50", label: "50–60", from: 50, to: 60, color: "#7B8CDE" },
-];
+// The display can show a plan in another currency at a fixed rate
+const DEFAULT_DISPLAY = { locale: DEFAULT_LOCALE, convertTo: null, rate: 1 };
+const PLAN_CURRENCY_VIEW = "plan"; // view option that shows the plan's own currency
+
+const RAISE_COLOR = "#F2C14E";
+const TAX_COLOR = "#F2C14E";
+const FEE_COLOR = "#E86F6F";
+const DEPOSIT_COLOR = "#8FD694";
+const GOAL_COLOR = "#E8C872";
+const ACTUAL_COLOR = "#F2F2F2";
+const REPROJECTED_COLOR = "#9AA0AC";
+const SENSITIVITY_LOW_COLOR = "#E8927C";
+const SENSITIVITY_HIGH_COLOR = "#4ECDC4";
+const START_COLOR = "#9AA0A6";
 const TOTAL_COLOR = "#F0F0F0";
+const INFLATION_COLOR = "#C38FD6";
+const BAND_COLOR = "#4ECDC4";
+const WITHDRAWAL_COLOR = "#E86F6F";
+const CONTRIBUTED_COLOR = "#E8927C";
+const EARNED_COLOR = "#4ECDC4";
+const ACCOUNT_COLORS = ["#E8927C", "#4ECDC4", "#F2C14E", "#7B8CDE", "#C38FD6", "#8FD694"]; // one per MAX_ACCOUNTS
+const SCENARIO_COLORS = ["#F0F0F0", "#E8927C", "#4ECDC4", "#F2C14E"];
+const MAX_COMPARE = SCENARIO_COLORS.length;
 
-/* ─── Segment helpers ─── */
-function segmentsToPerYear(segments, fromAge, toAge) {
-  const result = {};
-  for (let age = fromAge; age <= toAge; age++) {
-    const seg = segments.find((s) => age >= s.from && age <= s.to);
-    result[age] = seg ? seg.value : 0;
-  }
-  return result;
+// Kept in the accessibility tree but not drawn, for screen-reader-only text and tables
+const VISUALLY_HIDDEN = {
+  position: "absolute",
+  width: 1,
+  height: 1,
+  margin: -1,
+  overflow: "hidden",
+  clip: "rect(0 0 0 0)",
+  whiteSpace: "nowrap",
+  border: 0,
+};
+
+const SHARED_HISTORY = "shared"; // history key of an opened share link; never persisted
+const EMPTY_HISTORY = { past: [], future: [] };
+
+/* ─── Scenarios ─── */
+function createScenario(name, plan) {
+  return { id: createId(), name, plan };
 }
 
-function perYearToSegments(perYear, fromAge, toAge) {
-  const segs = [];
-  let current = null;
-  for (let age = fromAge; age <= toAge; age++) {
-    const val = perYear[age] ?? 0;
-    if (!current || current.value !== val) {
-      if (current) segs.push(current);
-      current = { from: age, to: age, value: val };
-    } else {
-      current.to = age;
+/* ─── Persistence ─── */
+// v1: sparse per-age table inputs under LEGACY_STORAGE_KEY
+// v2: a single plan at the top level (no schemaVersion field)
+// v3: a list of scenarios plus view settings
+const SCHEMA_VERSION = 3;
+const LEGACY_STORAGE_KEY = "nw-proj-v1";
+const BACKUP_STORAGE_KEY = `${STORAGE_KEY}-backup`;
+
+// Each migration lifts data from its version to the next one
+const MIGRATIONS = {
+  // v1 carried the last entered value forward; it always covered 18–60 (savings) and 18–65 (rates)
+  1: (old) => {
+    const inputs = old.rawInputs ?? old;
+    const savings = {};
+    const rates = {};
+    let sav = DEFAULT_SAVINGS;
+    let rate = DEFAULT_INTEREST;
+    for (let age = 18; age <= 65; age++) {
+      const entry = inputs[age] ?? {};
+      if (entry.savings !== undefined && entry.savings !== "") sav = parseFloat(entry.savings) || 0;
+      if (entry.rate !== undefined && entry.rate !== "") rate = parseFloat(entry.rate) || 0;
+      savings[age] = sav;
+      rates[age] = rate;
     }
-  }
-  if (current) segs.push(current);
-  return segs;
+    return {
+      savingsSegs: perYearToSegments(savings, 18, 60),
+      interestSegs: perYearToSegments(rates, 18, 65),
+    };
+  },
+  2: (old) => ({ scenarios: [{ name: "My plan", plan: old }] }),
+};
+
+function detectVersion(data) {
+  if (Number.isInteger(data.schemaVersion)) return data.schemaVersion;
+  return Array.isArray(data.scenarios) ? 3 : 2;
 }
 
-function splitSegment(segments, idx) {
-  const seg = segments[idx];
-  const span = seg.to - seg.from + 1;
-  if (span < 2) return segments;
-  const mid = seg.from + Math.floor(span / 2);
-  const left = { from: seg.from, to: mid - 1, value: seg.value };
-  const right = { from: mid, to: seg.to, value: seg.value };
-  return [...segments.slice(0, idx), left, right, ...segments.slice(idx + 1)];
+function migrate(data, version) {
+  let current = data;
+  for (let v = version; v < SCHEMA_VERSION; v++) current = MIGRATIONS[v](current);
+  return current;
 }
 
-function moveDivider(segments, dividerIdx, newBoundary) {
-  const left = segments[dividerIdx];
-  const right = segments[dividerIdx + 1];
-  const minBound = left.from + 1;
-  const maxBound = right.to;
-  const clamped = Math.max(minBound, Math.min(maxBound, newBoundary));
-  const newLeft = { ...left, to: clamped - 1 };
-  const newRight = { ...right, from: clamped };
-  return [
-    ...segments.slice(0, dividerIdx),
-    newLeft,
-    newRight,
-    ...segments.slice(dividerIdx + 2),
-  ];
+// Validates migrated data into app state, collecting a note for everything repaired
+function restoreState(data) {
+  const issues = [];
+  const saved = Array.isArray(data.scenarios) ? data.scenarios.filter((sc) => sc && typeof sc === "object") : [];
+  if (!Array.isArray(data.scenarios)) issues.push("no scenario list was found");
+  else if (saved.length < data.scenarios.length) issues.push("unreadable scenarios were dropped");
+  const seenIds = new Set();
+  const scenarios = saved.map((sc, i) => {
+    const name = typeof sc.name === "string" && sc.name.trim() ? sc.name : `Scenario ${i + 1}`;
+    const { plan, issues: planIssues } = validatePlan(sc.plan);
+    planIssues.forEach((msg) => issues.push(`${name}: ${msg}`));
+    const id = typeof sc.id === "string" && sc.id && !seenIds.has(sc.id) ? sc.id : createId();
+    seenIds.add(id);
+    return { id, name, plan };
+  });
+  if (scenarios.length === 0) scenarios.push(createScenario("My plan", defaultPlan()));
+  const ids = new Set(scenarios.map((sc) => sc.id));
+  return {
+    state: {
+      scenarios,
+      activeId: ids.has(data.activeId) ? data.activeId : scenarios[0].id,
+      compareIds: Array.isArray(data.compareIds) ? data.compareIds.filter((id) => ids.has(id)) : [],
+      realMode: !!data.realMode,
+      showBreakdown: !!data.showBreakdown,
+      simulation: normalizeSimulation(data.simulation),
+      sensitivity: normalizeSensitivity(data.sensitivity),
+      display: normalizeDisplay(data.display),
+    },
+    issues,
+  };
 }
 
-function removeDivider(segments, dividerIdx) {
-  const left = segments[dividerIdx];
-  const right = segments[dividerIdx + 1];
-  const merged = { from: left.from, to: right.to, value: left.value };
-  return [
-    ...segments.slice(0, dividerIdx),
-    merged,
-    ...segments.slice(dividerIdx + 2),
-  ];
+function freshState() {
+  return restoreState({ scenarios: [] }).state;
 }
 
-/* ─── Persistence ─── */
+// Returns { state, issues, error }; state is fresh when nothing usable was saved.
+// Unreadable data is copied to BACKUP_STORAGE_KEY before it can be overwritten.
 function loadData() {
+  let raw = null;
+  let version = null;
   try {
-    const raw = localStorage.getItem(STORAGE_KEY);
-    if (raw) return JSON.parse(raw);
-  } catch (e) {}
-  return null;
+    raw = localStorage.getItem(STORAGE_KEY);
+    if (raw === null) {
+      raw = localStorage.getItem(LEGACY_STORAGE_KEY);
+      version = 1;
+    }
+  } catch (e) {
+    return { state: freshState(), issues: [], error: "browser storage is not available" };
+  }
+  if (raw === null) return { state: freshState(), issues: [], error: null };
+
+  const fail = (error) => {
+    try {
+      localStorage.setItem(BACKUP_STORAGE_KEY, raw);
+    } catch (e) {}
+    return { state: freshState(), issues: [], error: `${error}; a copy was kept as "${BACKUP_STORAGE_KEY}"` };
+  };
+  let data;
+  try {
+    data = JSON.parse(raw);
+  } catch (e) {
+    return fail("the saved data is not valid JSON");
+  }
+  if (!data || typeof data !== "object" || Array.isArray(data)) return fail("the saved data has an unknown shape");
+  version = version ?? detectVersion(data);
+  if (version < 1 || version > SCHEMA_VERSION) return fail(`the saved data has unsupported version ${version}`);
+  try {
+    return { ...restoreState(migrate(data, version)), error: null };
+  } catch (e) {
+    return fail("the saved data could not be migrated");
+  }
 }
 
 function saveData(data) {
   try {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ schemaVersion: SCHEMA_VERSION, ...data }));
   } catch (e) {}
 }
 
-/* ─── Computation ─── */
-function resolveFromSegments(savingsSegs, interestSegs) {
-  const savingsPerYear = segmentsToPerYear(savingsSegs, 18, 60);
-  const interestPerYear = segmentsToPerYear(interestSegs, 18, 65);
-  const resolved = [];
-  for (let age = 18; age <= 60; age++) {
-    resolved.push({
-      age,
-      savings: savingsPerYear[age] || 0,
-      rate: interestPerYear[age] || 0,
-    });
+// Undo history lives under its own key: { [scenarioId]: { past: [plan], future: [plan] } }.
+// It is disposable, so anything from another schema version or for a missing scenario is dropped.
+const HISTORY_STORAGE_KEY = `${STORAGE_KEY}-history`;
+
+function loadHistory(scenarioIds) {
+  try {
+    const data = JSON.parse(localStorage.getItem(HISTORY_STORAGE_KEY));
+    if (data?.schemaVersion !== SCHEMA_VERSION || !data.entries) return {};
+    const history = {};
+    for (const id of scenarioIds) {
+      const entry = data.entries[id];
+      if (!Array.isArray(entry?.past) || !Array.isArray(entry?.future)) continue;
+      history[id] = {
+        past: entry.past.slice(-MAX_HISTORY).map(normalizePlan),
+        future: entry.future.slice(0, MAX_HISTORY).map(normalizePlan),
+      };
+    }
+    return history;
+  } catch (e) {
+    return {};
   }
-  return { resolved, interestPerYear };
 }
 
-function computeProjection(resolved, interestPerYear) {
-  const data = [];
-  const monthlyParams = [];
-  for (const r of resolved) {
-    const monthlyRate = r.rate / 100 / 12;
-    for (let m = 0; m < 12; m++) {
-      monthlyParams.push({ savings: r.savings, monthlyRate, age: r.age });
+function saveHistory(history, scenarioIds) {
+  const entries = {};
+  for (const id of scenarioIds) if (history[id]) entries[id] = history[id];
+  try {
+    localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify({ schemaVersion: SCHEMA_VERSION, entries }));
+  } catch (e) {}
+}
+
+/* ─── Import / export ─── */
+function fileSlug(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "plan";
+}
+
+function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/* ─── Share links ─── */
+const SHARE_PARAM = "plan";
+const SHARE_VERSION = 1;
+
+// Fees travel as [ter, platformFee, frontLoad]
+function packFees(fees) {
+  return [fees.ter, fees.platformFee, fees.frontLoad];
+}
+
+function unpackFees(packed) {
+  return Array.isArray(packed) ? { ter: packed[0], platformFee: packed[1], frontLoad: packed[2] } : undefined;
+}
+
+// Segments travel as [from, to, value, extra?], with [shape, param] after that for ramps and growth
+const SEGMENT_SHAPE_CODES = { ramp: [1, "end"], growth: [2, "growth"] };
+
+function packSegments(segments, extra) {
+  return segments.map((s) => {
+    const packed = extra ? [s.from, s.to, s.value, s[extra]] : [s.from, s.to, s.value];
+    const shape = SEGMENT_SHAPE_CODES[s.type];
+    return shape ? [...packed, shape[0], s[shape[1]]] : packed;
+  });
+}
+
+function unpackSegments(packed, extra) {
+  if (!Array.isArray(packed) || packed.length === 0) throw new Error("missing segments");
+  const base = extra ? 4 : 3;
+  return packed.map((p) => {
+    if (!Array.isArray(p) || !p.every((n) => typeof n === "number" && Number.isFinite(n))) {
+      throw new Error("malformed segment");
     }
-  }
+    const seg = { from: p[0], to: p[1], value: p[2] };
+    if (extra && p.length > 3) seg[extra] = p[3];
+    if (p.length >= base + 2) {
+      const type = Object.keys(SEGMENT_SHAPE_CODES).find((t) => SEGMENT_SHAPE_CODES[t][0] === p[base]);
+      if (!type) throw new Error("unknown segment shape");
+      seg.type = type;
+      seg[SEGMENT_SHAPE_CODES[type][1]] = p[base + 1];
+    }
+    return seg;
+  });
+}
 
-  let buckets = [0, 0, 0, 0];
-  function getDecadeIndex(age) {
-    if (age <= 29) return 0;
-    if (age <= 39) return 1;
-    if (age <= 49) return 2;
-    return 3;
+// FNV-1a, enough to notice a truncated or hand-edited link
+function checksum(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
   }
+  return (h >>> 0).toString(36);
+}
 
-  for (let year = 0; year < PROJECTION_END - 18; year++) {
-    const age = 18 + year;
-    for (let m = 0; m < 12; m++) {
-      const globalMonth = year * 12 + m;
-      let monthlyRate;
-      if (globalMonth < monthlyParams.length) {
-        monthlyRate = monthlyParams[globalMonth].monthlyRate;
-      } else {
-        const rateForAge = interestPerYear[age] || interestPerYear[60] || 0;
-        monthlyRate = rateForAge / 100 / 12;
-      }
-      for (let b = 0; b < 4; b++) {
-        buckets[b] *= 1 + monthlyRate;
-      }
-      if (globalMonth < monthlyParams.length) {
-        const di = getDecadeIndex(monthlyParams[globalMonth].age);
-        buckets[di] += monthlyParams[globalMonth].savings;
-      }
-    }
-    const total = buckets.reduce((a, b) => a + b, 0);
-    data.push({
-      age: age + 1,
-      d18: Math.round(buckets[0]),
-      d30: Math.round(buckets[1]),
-      d40: Math.round(buckets[2]),
-      d50: Math.round(buckets[3]),
-      total: Math.round(total),
-    });
+function toBase64Url(str) {
+  const bytes = new TextEncoder().encode(str);
+  let binary = "";
+  for (const b of bytes) binary += String.fromCharCode(b);
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(str) {
+  const binary = atob(str.replace(/-/g, "+").replace(/_/g, "/"));
+  return new TextDecoder().decode(Uint8Array.from(binary, (c) => c.charCodeAt(0)));
+}
+
+function encodeSharedPlan(name, plan) {
+  const { currentAge, startBalance, retireAge, targetAge, endAge } = plan.profile;
+  const payload = toBase64Url(JSON.stringify({
+    v: SHARE_VERSION,
+    n: name,
+    p: [currentAge, startBalance, retireAge, targetAge, endAge],
+    s: packSegments(plan.savingsSegs),
+    sm: plan.savingsMode,
+    sa: plan.salary,
+    r: packSegments(plan.raiseSegs),
+    i: packSegments(plan.interestSegs, "vol"),
+    f: packSegments(plan.inflationSegs),
+    w: packSegments(plan.withdrawalSegs),
+    ws: plan.withdrawalStrategy,
+    ma: [plan.mainAccount.name, plan.mainAccount.assetClass, packFees(plan.mainAccount.fees)],
+    a: plan.accounts.map((acct) => [
+      acct.name,
+      acct.assetClass,
+      packSegments(acct.savingsSegs),
+      packSegments(acct.interestSegs, "vol"),
+      packFees(acct.fees),
+    ]),
+    g: [plan.glidePath.enabled ? 1 : 0, plan.glidePath.fromAge, plan.glidePath.toAge,
+      plan.glidePath.startEquity, plan.glidePath.endEquity],
+    e: plan.events.map((event) => [event.age, event.amount, event.label]),
+    gl: plan.goals.map((goal) => [goal.type, goal.amount, goal.age]),
+    ac: [plan.planStart, plan.actuals.map((a) => [a.date, a.balance])],
+    c: [plan.compounding.frequency, plan.compounding.timing],
+    cu: plan.currency,
+    t: [plan.tax.enabled ? 1 : 0, plan.tax.allowance, plan.tax.basiszins, plan.tax.churchTax, plan.tax.fundType],
+  }));
+  return `${payload}.${checksum(payload)}`;
+}
+
+// Throws when the link is damaged, tampered with or from a newer version
+function decodeSharedPlan(encoded) {
+  const [payload, sum] = encoded.split(".");
+  if (!payload || checksum(payload) !== sum) throw new Error("the link is incomplete or was modified");
+  let data;
+  try {
+    data = JSON.parse(fromBase64Url(payload));
+  } catch (e) {
+    throw new Error("the link could not be decoded");
   }
-  return data;
+  if (data?.v !== SHARE_VERSION) throw new Error("the link was made by a different version of the app");
+  if (!Array.isArray(data.p) || data.p.length !== 5) throw new Error("the link has no profile");
+  const [currentAge, startBalance, retireAge, targetAge, endAge] = data.p;
+  return {
+    name: typeof data.n === "string" && data.n.trim() ? data.n.trim() : "Shared plan",
+    plan: normalizePlan({
+      profile: { currentAge, startBalance, retireAge, targetAge, endAge },
+      savingsSegs: unpackSegments(data.s),
+      savingsMode: data.sm,
+      salary: data.sa,
+      raiseSegs: data.r === undefined ? undefined : unpackSegments(data.r),
+      interestSegs: unpackSegments(data.i, "vol"),
+      inflationSegs: unpackSegments(data.f),
+      withdrawalSegs: unpackSegments(data.w),
+      withdrawalStrategy: data.ws,
+      mainAccount: Array.isArray(data.ma)
+        ? { name: data.ma[0], assetClass: data.ma[1], fees: unpackFees(data.ma[2]) }
+        : undefined,
+      accounts: Array.isArray(data.a)
+        ? data.a.map((acct) => {
+          if (!Array.isArray(acct)) throw new Error("malformed account");
+          return {
+            name: acct[0],
+            assetClass: acct[1],
+            savingsSegs: unpackSegments(acct[2]),
+            interestSegs: unpackSegments(acct[3], "vol"),
+            fees: unpackFees(acct[4]),
+          };
+        })
+        : undefined,
+      glidePath: Array.isArray(data.g)
+        ? { enabled: !!data.g[0], fromAge: data.g[1], toAge: data.g[2], startEquity: data.g[3], endEquity: data.g[4] }
+        : undefined,
+      events: Array.isArray(data.e)
+        ? data.e.filter(Array.isArray).map(([age, amount, label]) => ({ age, amount, label }))
+        : undefined,
+      goals: Array.isArray(data.gl)
+        ? data.gl.filter(Array.isArray).map(([type, amount, age]) => ({ type, amount, age }))
+        : undefined,
+      planStart: Array.isArray(data.ac) ? data.ac[0] : undefined,
+      actuals: Array.isArray(data.ac) && Array.isArray(data.ac[1])
+        ? data.ac[1].filter(Array.isArray).map(([date, balance]) => ({ date, balance }))
+        : undefined,
+      compounding: Array.isArray(data.c) ? { frequency: data.c[0], timing: data.c[1] } : undefined,
+      currency: data.cu,
+      tax: Array.isArray(data.t)
+        ? { enabled: !!data.t[0], allowance: data.t[1], basiszins: data.t[2], churchTax: data.t[3], fundType: data.t[4] }
+        : undefined,
+    }),
+  };
+}
+
+// Encoded plan from a "#plan=…" hash, or null when the URL carries none
+function readShareHash(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ""));
+  return params.get(SHARE_PARAM);
+}
+
+function clearShareHash() {
+  const { pathname, search } = window.location;
+  window.history.replaceState(null, "", `${pathname}${search}`);
+}
+
+function shareUrl(name, plan) {
+  const { origin, pathname, search } = window.location;
+  return `${origin}${pathname}${search}#${SHARE_PARAM}=${encodeSharedPlan(name, plan)}`;
 }
 
 /* ─── Formatting ─── */
-function formatEUR(val) {
-  if (val == null) return "";
-  return new Intl.NumberFormat("de-DE", {
+// Locale for every number shown, and an optional fixed rate to view plans in another currency
+function normalizeDisplay(display) {
+  const d = { ...DEFAULT_DISPLAY, ...display };
+  const convertTo = CURRENCIES.some((c) => c.key === d.convertTo) ? d.convertTo : null;
+  return {
+    locale: LOCALES.some((l) => l.key === d.locale) ? d.locale : DEFAULT_DISPLAY.locale,
+    convertTo,
+    rate: Number(d.rate) > 0 ? Number(d.rate) : DEFAULT_DISPLAY.rate,
+  };
+}
+
+// Formatters for a locale. Money shown from the projection is converted into the display
+// currency; amounts the user typed in (planMoney, planUnit) stay in the plan's currency.
+function makeFormat(locale, planCurrency, convertTo = null, rate = 1) {
+  const currency = convertTo && convertTo !== planCurrency ? convertTo : planCurrency;
+  const factor = currency === planCurrency ? 1 : rate;
+  const moneyFormat = (code) => new Intl.NumberFormat(locale, {
     style: "currency",
-    currency: "EUR",
+    currency: code,
+    currencyDisplay: "narrowSymbol",
     minimumFractionDigits: 0,
     maximumFractionDigits: 0,
-  }).format(val);
+  });
+  const symbolOf = (code) => moneyFormat(code).formatToParts(0).find((part) => part.type === "currency").value;
+  const shown = moneyFormat(currency);
+  const planned = moneyFormat(planCurrency);
+  const whole = new Intl.NumberFormat(locale, { maximumFractionDigits: 0 });
+  const oneDecimal = new Intl.NumberFormat(locale, { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+  const symbol = symbolOf(currency);
+  const planSymbol = symbolOf(planCurrency);
+  const lead = symbol.length > 1 ? `${symbol} ` : symbol;
+  const fmt = {
+    locale,
+    currency,
+    planCurrency,
+    symbol,
+    planSymbol,
+    factor,
+    converted: currency !== planCurrency,
+    money: (val) => (val == null ? "" : shown.format(val * factor)),
+    planMoney: (val) => (val == null ? "" : planned.format(val)),
+    // Short axis-tick form, e.g. €1.2M or €850k
+    compact: (val) => {
+      const v = Math.abs(val * factor);
+      const sign = val < 0 ? "−" : "";
+      if (v >= 1_000_000) return `${sign}${lead}${oneDecimal.format(v / 1_000_000)}M`;
+      if (v >= 1_000) return `${sign}${lead}${whole.format(v / 1_000)}k`;
+      return `${sign}${lead}${whole.format(v)}`;
+    },
+    signedCompact: (val) => (val === 0 ? "0" : `${val < 0 ? "" : "+"}${fmt.compact(val)}`),
+    range: (val) => (Array.isArray(val) ? `${fmt.money(val[0])} – ${fmt.money(val[1])}` : fmt.money(val)),
+    number: (val, digits = 0, minDigits = digits) => new Intl.NumberFormat(locale, {
+      minimumFractionDigits: minDigits,
+      maximumFractionDigits: digits,
+    }).format(val),
+    percent: (val, digits = 1) => `${fmt.number(val, digits)}%`,
+    // Swaps the € sign and EUR code in a unit label for the plan's own currency
+    planUnit: (text) => text && text.replace("€", planSymbol).replace("EUR", planCurrency),
+  };
+  return fmt;
+}
+
+const FormatContext = createContext(makeFormat(DEFAULT_DISPLAY.locale, DEFAULT_CURRENCY));
+
+function useFormat() {
+  return useContext(FormatContext);
+}
+
+/* ─── Engine worker ─── */
+const PROGRESS_DELAY_MS = 300; // runs quicker than this finish without a progress bar
+
+let engineWorker; // shared by every task, created on first use; null where workers are unavailable
+const engineRequests = new Map(); // request id -> { type, args, onMessage, timer }
+const engineErrorListeners = new Set(); // told when the worker breaks or a task throws
+let nextRequestId = 1;
+
+function reportEngineError(message) {
+  engineErrorListeners.forEach((listener) => listener(message));
+}
+
+// Runs a request in one go on this thread, after the current render
+function runEngineTaskLocally(id, request) {
+  request.timer = setTimeout(() => {
+    engineRequests.delete(id);
+    let message;
+    try {
+      message = { id, result: runSteps(ENGINE_TASKS[request.type](request.args)) };
+    } catch (e) {
+      message = { id, error: e.message };
+    }
+    request.onMessage(message);
+  }, 0);
+}
+
+// A worker that fails to load or breaks is not tried again; what it was running reruns here
+function dropEngineWorker(reason) {
+  engineWorker?.terminate();
+  engineWorker = null;
+  reportEngineError(`Background calculations stopped (${reason}). They now run on the page, which may feel slower.`);
+  engineRequests.forEach((request, id) => runEngineTaskLocally(id, request));
+}
+
+function getEngineWorker() {
+  if (engineWorker === undefined) {
+    try {
+      engineWorker = typeof Worker === "function"
+        ? new Worker(new URL("./engine.worker.js", import.meta.url), { type: "module" })
+        : null;
+    } catch (e) {
+      engineWorker = null;
+    }
+    engineWorker?.addEventListener("message", ({ data }) => {
+      const request = engineRequests.get(data.id);
+      if (!request) return;
+      if (!("progress" in data)) engineRequests.delete(data.id);
+      request.onMessage(data);
+    });
+    engineWorker?.addEventListener("error", (e) => {
+      e.preventDefault();
+      dropEngineWorker(e.message || "the worker failed to load");
+    });
+    engineWorker?.addEventListener("messageerror", () => dropEngineWorker("a result could not be read"));
+  }
+  return engineWorker;
+}
+
+// Starts one of ENGINE_TASKS and returns a function that cancels it. Without a worker the
+// task runs in one go after the current render.
+function startEngineTask(type, args, onMessage) {
+  const id = nextRequestId++;
+  const request = { type, args, onMessage, timer: null };
+  engineRequests.set(id, request);
+  const worker = getEngineWorker();
+  if (worker) worker.postMessage({ type, id, args });
+  else runEngineTaskLocally(id, request);
+  return () => {
+    if (!engineRequests.delete(id)) return;
+    if (request.timer !== null) clearTimeout(request.timer);
+    else engineWorker?.postMessage({ cancel: id });
+  };
+}
+
+// Result of a background task for the latest args (null args runs nothing). A new args object
+// cancels the request in flight, so only the newest one is ever computed; the previous result
+// stays until the new one arrives. `slow` turns on once a run has taken PROGRESS_DELAY_MS.
+// A failed run clears the result, sets `error` and is reported to engineErrorListeners.
+function useEngineTask(type, args) {
+  const [state, setState] = useState({ result: null, error: null, pending: false, slow: false, progress: 0 });
+  useEffect(() => {
+    if (!args) {
+      setState({ result: null, error: null, pending: false, slow: false, progress: 0 });
+      return undefined;
+    }
+    setState((s) => ({ ...s, pending: true, progress: 0 }));
+    const slowTimer = setTimeout(() => setState((s) => ({ ...s, slow: true })), PROGRESS_DELAY_MS);
+    const cancel = startEngineTask(type, args, (data) => {
+      if ("progress" in data) {
+        setState((s) => ({ ...s, progress: data.progress }));
+        return;
+      }
+      clearTimeout(slowTimer);
+      if (data.error) reportEngineError(`The ${type} calculation failed: ${data.error}`);
+      setState({ result: data.error ? null : data.result, error: data.error ?? null, pending: false, slow: false, progress: 1 });
+    });
+    return () => {
+      clearTimeout(slowTimer);
+      cancel();
+    };
+  }, [type, args]);
+  return state;
 }
-function formatCompact(val) {
-  if (val >= 1_000_000) return `€${(val / 1_000_000).toFixed(1)}M`;
-  if (val >= 1_000) return `€${(val / 1_000).toFixed(0)}k`;
-  return `€${val}`;
+
+// Whether a projection lines up with the plan's rows and columns (same ages, decades and
+// accounts), so it can stand in while the plan's own is computed
+function projectionFits(projection, plan) {
+  const { currentAge, retireAge, endAge } = plan.profile;
+  const accountIds = projection.resolution.accounts.map((acct) => acct.id);
+  return projection.data.length === endAge - currentAge
+    && projection.data[0]?.age === currentAge + 1
+    && projection.decades[projection.decades.length - 1]?.to === retireAge
+    && accountIds.length === plan.accounts.length
+    && plan.accounts.every((acct, i) => acct.id === accountIds[i]);
 }
 
 /* ─── Tooltip for area chart ─── */
-const AreaTooltip = ({ active, payload, label }) => {
+const AreaTooltip = ({ active, payload, label, altLabel }) => {
+  const fmt = useFormat();
   if (!active || !payload || !payload.length) return null;
   return (
     <div
@@ -200,10 +683,17 @@ const AreaTooltip = ({ active, payload, label }) => {
       }}
     >
       <div style={{ color: "#999", marginBottom: 8, fontSize: 13 }}>Age {label}</div>
-      {payload.filter((p) => p.value > 0).reverse().map((p) => (
+      {payload.filter((p) => (Array.isArray(p.value) ? p.value[1] : p.value) > 0).reverse().map((p) => (
         <div key={p.dataKey} style={{ display: "flex", justifyContent: "space-between", gap: 20, padding: "2px 0" }}>
           <span style={{ color: p.color, fontWeight: 500 }}>{p.name}</span>
-          <span style={{ color: "#eee", fontFamily: "'DM Mono', monospace" }}>{formatEUR(p.value)}</span>
+          <span style={{ color: "#eee", fontFamily: "'DM Mono', monospace" }}>
+            {fmt.range(p.value)}
+            {p.payload.alt && (
+              <span style={{ color: "#666", fontSize: 12, marginLeft: 8 }}>
+                {fmt.range(p.payload.alt[p.dataKey])} {altLabel}
+              </span>
+            )}
+          </span>
         </div>
       ))}
     </div>
@@ -217,10 +707,13 @@ const DIAL_R = (DIAL_SIZE - DIAL_STROKE) / 2;
 const DIAL_C = 2 * Math.PI * DIAL_R;
 const DIAL_CX = DIAL_SIZE / 2;
 const DIAL_CY = DIAL_SIZE / 2;
+const DIAL_KEY_STEP = (2 * Math.PI) / 12; // arrow keys turn the dial by a twelfth
 
-function DialEditor({ editVal, setEditVal, onLiveChange, onCommit, onCancel, color, suffix }) {
+function DialEditor({ editVal, setEditVal, onLiveChange, onCommit, onCancel, color, suffix, label }) {
+  const fmt = useFormat();
+  const hintId = useId();
   const dialRef = useRef(null);
-  const rotRef = useRef({ lastAngle: 0, total: 0, startVal: 0, active: false });
+  const rotRef = useRef({ lastAngle: 0, total: 0, startVal: 0, active: false, keyboard: false });
   const [rotation, setRotation] = useState(0);
 
   const editValRef = useRef(editVal);
@@ -244,10 +737,30 @@ function DialEditor({ editVal, setEditVal, onLiveChange, onCommit, onCancel, col
     e.stopPropagation();
     const angle = Math.atan2(clientY - cy, clientX - cx);
     const currentVal = parseFloat(editValRef.current) || 0;
-    rotRef.current = { lastAngle: angle, total: 0, startVal: currentVal, active: true };
+    rotRef.current = { lastAngle: angle, total: 0, startVal: currentVal, active: true, keyboard: false };
     setRotation(0);
   }, []);
 
+  // Each full turn doubles the value the rotation started from
+  const applyRotation = useCallback(() => {
+    const r = rotRef.current;
+    const raw = r.startVal * Math.pow(2, r.total / (2 * Math.PI));
+    const newVal = raw === 0 ? 0 : parseFloat(Math.max(0, raw).toPrecision(2));
+    setRotation(r.total);
+    setEditValRef.current(String(newVal));
+    onLiveChangeRef.current(newVal);
+  }, []);
+
+  // Key presses keep turning from the value they started at, until a drag or typing resets it
+  const turnBy = useCallback((delta) => {
+    const r = rotRef.current;
+    if (!r.keyboard) {
+      rotRef.current = { ...r, total: 0, startVal: parseFloat(editValRef.current) || 0, keyboard: true };
+    }
+    rotRef.current.total += delta;
+    applyRotation();
+  }, [applyRotation]);
+
   useEffect(() => {
     const handleMove = (e) => {
       const r = rotRef.current;
@@ -266,12 +779,7 @@ function DialEditor({ editVal, setEditVal, onLiveChange, onCommit, onCancel, col
       if (delta < -Math.PI) delta += 2 * Math.PI;
       r.total += delta;
       r.lastAngle = angle;
-      const multiplier = Math.pow(2, r.total / (2 * Math.PI));
-      const raw = r.startVal * multiplier;
-      const newVal = raw === 0 ? 0 : parseFloat(Math.max(0, raw).toPrecision(2));
-      setRotation(r.total);
-      setEditValRef.current(String(newVal));
-      onLiveChangeRef.current(newVal);
+      applyRotation();
     };
     const handleUp = () => {
       rotRef.current.active = false;
@@ -286,7 +794,7 @@ function DialEditor({ editVal, setEditVal, onLiveChange, onCommit, onCancel, col
       window.removeEventListener("touchmove", handleMove);
       window.removeEventListener("touchend", handleUp);
     };
-  }, []);
+  }, [applyRotation]);
 
   const absFraction = (Math.abs(rotation) % (2 * Math.PI)) / (2 * Math.PI);
   const isPositive = rotation >= 0;
@@ -303,7 +811,12 @@ function DialEditor({ editVal, setEditVal, onLiveChange, onCommit, onCancel, col
       onMouseDown={handleDown}
       onTouchStart={handleDown}
     >
-      <svg width={DIAL_SIZE} height={DIAL_SIZE} style={{ position: "absolute", top: 0, left: 0, overflow: "visible" }}>
+      <svg
+        aria-hidden="true"
+        width={DIAL_SIZE}
+        height={DIAL_SIZE}
+        style={{ position: "absolute", top: 0, left: 0, overflow: "visible" }}
+      >
         <circle
           cx={DIAL_CX}
           cy={DIAL_CY}
@@ -359,8 +872,19 @@ function DialEditor({ editVal, setEditVal, onLiveChange, onCommit, onCancel, col
             type="text"
             inputMode="decimal"
             value={editVal}
-            onChange={(e) => setEditVal(e.target.value.replace(/[^0-9.,]/g, ""))}
+            aria-label={label}
+            aria-describedby={hintId}
+            onChange={(e) => {
+              rotRef.current.keyboard = false;
+              setRotation(0);
+              setEditVal(e.target.value.replace(/[^0-9.,]/g, ""));
+            }}
             onKeyDown={(e) => {
+              const turns = { ArrowUp: DIAL_KEY_STEP, ArrowDown: -DIAL_KEY_STEP, PageUp: 2 * Math.PI, PageDown: -2 * Math.PI };
+              if (e.key in turns) {
+                e.preventDefault();
+                turnBy(turns[e.key]);
+              }
               if (e.key === "Enter") onCommit();
               if (e.key === "Escape") onCancel();
             }}
@@ -380,6 +904,10 @@ function DialEditor({ editVal, setEditVal, onLiveChange, onCommit, onCancel, col
           <span style={{ color: "#555", fontSize: 13, fontFamily: "'DM Sans', sans-serif" }}>
             {suffix}
           </span>
+          <span id={hintId} style={VISUALLY_HIDDEN}>
+            Up and Down arrows scale by a twelfth of a turn, Page Up doubles, Page Down halves. Enter saves, Escape
+            cancels.
+          </span>
         </div>
         {Math.abs(rotation) > 0.1 && (
           <div
@@ -390,7 +918,7 @@ function DialEditor({ editVal, setEditVal, onLiveChange, onCommit, onCancel, col
               opacity: 0.8,
             }}
           >
-            ×{multiplier.toFixed(2)}
+            ×{fmt.number(multiplier, 2)}
           </div>
         )}
       </div>
@@ -399,7 +927,8 @@ function DialEditor({ editVal, setEditVal, onLiveChange, onCommit, onCancel, col
 }
 
 /* ─── SegmentBarChart ─── */
-function SegmentBarChart({ segments, onChange, label, color, unit, suffix, rangeFrom, rangeTo }) {
+function SegmentBarChart({ segments, onChange, label, color, unit, suffix, rangeFrom, rangeTo, valueKey = "value" }) {
+  const unitSuffix = useFormat().planUnit(suffix);
   const containerRef = useRef(null);
   const [editIdx, setEditIdx] = useState(null);
   const [editVal, setEditVal] = useState("");
@@ -408,8 +937,26 @@ function SegmentBarChart({ segments, onChange, label, color, unit, suffix, range
   const dragRef = useRef(null);
   const lastTapRef = useRef({ time: 0, idx: -1 });
   const totalYears = rangeTo - rangeFrom + 1;
+  const hintId = useId();
+  const segmentRefs = useRef([]);
+  const dividerRefs = useRef([]);
+  const pendingFocusRef = useRef(null); // { kind: "segment" | "divider", idx } to focus after the next render
+  const editOriginRef = useRef(null); // the track as it was when the editor opened, for Escape
+  const [announcement, setAnnouncement] = useState("");
+
+  // Only the value track has shapes; a ramp or growth segment peaks at one of its ends
+  const hasShapes = valueKey === "value";
+  const valueAt = (seg, age) => (hasShapes ? segmentValueAt(seg, age) : seg[valueKey] ?? 0);
+  const maxVal = Math.max(...segments.flatMap((s) => [valueAt(s, s.from), valueAt(s, s.to)]), 1);
+  const barHeight = (v) => (maxVal > 0 ? Math.max(10, (v / maxVal) * 52) : 10);
 
-  const maxVal = Math.max(...segments.map((s) => s.value), 1);
+  const describeValue = (seg) => {
+    const value = `${seg[valueKey] ?? 0}${unitSuffix}`;
+    if (!hasShapes) return value;
+    if (seg.type === "ramp") return `${value} to ${seg.end}${unitSuffix}`;
+    if (seg.type === "growth") return `${value} growing ${seg.growth}% a year`;
+    return value;
+  };
 
   const getAgeFromX = useCallback((clientX) => {
     const rect = containerRef.current?.getBoundingClientRect();
@@ -418,6 +965,47 @@ function SegmentBarChart({ segments, onChange, label, color, unit, suffix, range
     return Math.round(rangeFrom + frac * totalYears);
   }, [rangeFrom, totalYears]);
 
+  const describeRange = (seg) => (seg.from === seg.to ? `age ${seg.from}` : `ages ${seg.from} to ${seg.to}`);
+
+  // Keyboard actions move focus by re-rendering, so the target is focused once it exists
+  useEffect(() => {
+    const pending = pendingFocusRef.current;
+    if (!pending) return;
+    pendingFocusRef.current = null;
+    (pending.kind === "divider" ? dividerRefs : segmentRefs).current[pending.idx]?.focus();
+  });
+
+  const openEdit = useCallback((idx) => {
+    const rect = containerRef.current?.getBoundingClientRect();
+    if (!rect) return;
+    const seg = segments[idx];
+    const segStart = (seg.from - rangeFrom) / totalYears;
+    const segWidth = (seg.to - seg.from + 1) / totalYears;
+    editOriginRef.current = segments;
+    setEditIdx(idx);
+    setEditVal(String(seg[valueKey] ?? 0));
+    setEditPos({ x: (segStart + segWidth / 2) * rect.width, y: 0 });
+  }, [segments, rangeFrom, totalYears, valueKey]);
+
+  const split = useCallback((idx) => {
+    const seg = segments[idx];
+    if (seg.to - seg.from + 1 < 2) {
+      setAnnouncement(`${describeRange(seg)} is a single year and cannot be split`);
+      return;
+    }
+    const next = splitSegment(segments, idx);
+    onChange(next);
+    setAnnouncement(`Split into ${describeRange(next[idx])} and ${describeRange(next[idx + 1])}`);
+    pendingFocusRef.current = { kind: "segment", idx };
+  }, [segments, onChange]);
+
+  const merge = useCallback((dividerIdx) => {
+    const next = removeDivider(segments, dividerIdx);
+    onChange(next);
+    setAnnouncement(`Merged into ${describeRange(next[dividerIdx])}`);
+    pendingFocusRef.current = { kind: "segment", idx: dividerIdx };
+  }, [segments, onChange]);
+
   // Double-click/double-tap to split
   const handleBarInteraction = useCallback((idx, e) => {
     const now = Date.now();
@@ -433,31 +1021,83 @@ function SegmentBarChart({ segments, onChange, label, color, unit, suffix, range
 
     // Single tap → edit after delay (if no double-tap follows)
     setTimeout(() => {
-      if (lastTapRef.current.time === now && lastTapRef.current.idx === idx) {
-        const rect = containerRef.current?.getBoundingClientRect();
-        if (!rect) return;
-        const seg = segments[idx];
-        const segStart = (seg.from - rangeFrom) / totalYears;
-        const segWidth = (seg.to - seg.from + 1) / totalYears;
-        const x = rect.left + (segStart + segWidth / 2) * rect.width;
-        const y = rect.top - 10;
-        setEditIdx(idx);
-        setEditVal(String(seg.value));
-        setEditPos({ x: x - rect.left, y: 0 });
-      }
+      if (lastTapRef.current.time === now && lastTapRef.current.idx === idx) openEdit(idx);
     }, 420);
-  }, [segments, onChange, rangeFrom, totalYears]);
+  }, [segments, onChange, openEdit]);
+
+  // Enter/Space edits, S splits, M or Delete merges with the next segment (the last one with
+  // its previous), arrows and Home/End move between segments
+  const handleSegmentKey = useCallback((idx, e) => {
+    const last = segments.length - 1;
+    const focusSegment = (i) => segmentRefs.current[Math.max(0, Math.min(last, i))]?.focus();
+    const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+    if (key === "Enter" || key === " ") openEdit(idx);
+    else if (key === "s") split(idx);
+    else if ((key === "m" || key === "Delete" || key === "Backspace") && last > 0) merge(idx < last ? idx : idx - 1);
+    else if (key === "ArrowRight") focusSegment(idx + 1);
+    else if (key === "ArrowLeft") focusSegment(idx - 1);
+    else if (key === "Home") focusSegment(0);
+    else if (key === "End") focusSegment(last);
+    else return;
+    e.preventDefault();
+  }, [segments, openEdit, split, merge]);
+
+  // Arrows move a divider a year (five with Shift), Home/End to its limits, Delete removes it
+  const handleDividerKey = useCallback((divIdx, e) => {
+    const left = segments[divIdx];
+    const right = segments[divIdx + 1];
+    const step = e.shiftKey ? 5 : 1;
+    const targets = {
+      ArrowLeft: right.from - step,
+      ArrowRight: right.from + step,
+      Home: left.from + 1,
+      End: right.to,
+    };
+    if (e.key in targets) {
+      const next = moveDivider(segments, divIdx, targets[e.key]);
+      if (next[divIdx + 1].from !== right.from) {
+        onChange(next);
+        setAnnouncement(`${label} changes at age ${next[divIdx + 1].from}`);
+        pendingFocusRef.current = { kind: "divider", idx: divIdx };
+      }
+    } else if (e.key === "Delete" || e.key === "Backspace") {
+      merge(divIdx);
+    } else {
+      return;
+    }
+    e.preventDefault();
+  }, [segments, onChange, merge, label]);
 
   const commitEdit = useCallback(() => {
     if (editIdx !== null) {
       const val = parseFloat(editVal);
       if (!isNaN(val) && val >= 0) {
-        const updated = segments.map((s, i) => i === editIdx ? { ...s, value: val } : s);
+        const updated = segments.map((s, i) => i === editIdx ? { ...s, [valueKey]: val } : s);
         onChange(updated);
       }
+      pendingFocusRef.current = { kind: "segment", idx: editIdx };
       setEditIdx(null);
     }
-  }, [editIdx, editVal, segments, onChange]);
+  }, [editIdx, editVal, segments, onChange, valueKey]);
+
+  // Dial turns and shape changes apply live, so cancelling puts the track back as it was
+  const cancelEdit = useCallback(() => {
+    if (editOriginRef.current && editOriginRef.current !== segments) onChange(editOriginRef.current);
+    pendingFocusRef.current = { kind: "segment", idx: editIdx };
+    setEditIdx(null);
+  }, [editIdx, segments, onChange]);
+
+  // Shape changes apply live, like the dial; a new ramp starts out level
+  const setShape = useCallback((patch) => {
+    onChange(segments.map((s, i) => {
+      if (i !== editIdx) return s;
+      if (!patch.type) return { ...s, ...patch };
+      const { type, end, growth, ...flat } = s;
+      if (patch.type === "ramp") return { ...flat, type: "ramp", end: segmentValueAt(s, s.to) };
+      if (patch.type === "growth") return { ...flat, type: "growth", growth: DEFAULT_SEGMENT_GROWTH };
+      return flat;
+    }));
+  }, [segments, onChange, editIdx]);
 
   // Divider drag
   const handleDividerDown = useCallback((divIdx, e) => {
@@ -564,6 +1204,12 @@ function SegmentBarChart({ segments, onChange, label, color, unit, suffix, range
             }}
           />
           <div
+            role="dialog"
+            aria-label={`Edit ${label}, ${describeRange(segments[editIdx])}`}
+            // Tabbing out of the popup saves, and focus goes back to the segment
+            onBlur={(e) => {
+              if (e.relatedTarget && !e.currentTarget.contains(e.relatedTarget)) commitEdit();
+            }}
             style={{
               position: "absolute",
               top: -(DIAL_SIZE / 2 + 20),
@@ -577,14 +1223,25 @@ function SegmentBarChart({ segments, onChange, label, color, unit, suffix, range
               editVal={editVal}
               setEditVal={setEditVal}
               onLiveChange={(newVal) => {
-                const updated = segments.map((s, i) => i === editIdx ? { ...s, value: newVal } : s);
+                const updated = segments.map((s, i) => i === editIdx ? { ...s, [valueKey]: newVal } : s);
                 onChange(updated);
               }}
               onCommit={commitEdit}
-              onCancel={() => setEditIdx(null)}
+              onCancel={cancelEdit}
               color={color}
-              suffix={suffix}
+              suffix={unitSuffix}
+              label={`${label}, ${describeRange(segments[editIdx])}`}
             />
+            {hasShapes && (
+              <SegmentShapeEditor
+                key={segments[editIdx].type ?? "flat"}
+                segment={segments[editIdx]}
+                onChange={setShape}
+                onCommit={commitEdit}
+                onCancel={cancelEdit}
+                suffix={unitSuffix}
+              />
+            )}
           </div>
         </>
       )}
@@ -592,6 +1249,9 @@ function SegmentBarChart({ segments, onChange, label, color, unit, suffix, range
       {/* Bar container */}
       <div
         ref={containerRef}
+        role="group"
+        aria-label={label}
+        aria-describedby={hintId}
         style={{
           display: "flex",
           height: 90,
@@ -606,13 +1266,20 @@ function SegmentBarChart({ segments, onChange, label, color, unit, suffix, range
       >
         {displaySegments.map((seg, i) => {
           const widthPct = ((seg.to - seg.from + 1) / totalYears) * 100;
-          const barH = maxVal > 0 ? Math.max(10, (seg.value / maxVal) * 52) : 10;
+          const barH = barHeight(seg[valueKey] ?? 0);
+          const sloped = hasShapes && seg.to > seg.from && (seg.type === "ramp" || seg.type === "growth");
           const isEditing = editIdx === i;
           const segIdx = i; // for original segment index mapping
 
           return (
             <div
               key={`${seg.from}-${seg.to}`}
+              ref={(el) => { segmentRefs.current[i] = el; }}
+              role="button"
+              tabIndex={0}
+              aria-label={`${describeRange(seg)}: ${describeValue(seg)}`}
+              aria-haspopup="dialog"
+              onKeyDown={(e) => handleSegmentKey(i, e)}
               style={{
                 width: `${widthPct}%`,
                 height: "100%",
@@ -644,19 +1311,28 @@ function SegmentBarChart({ segments, onChange, label, color, unit, suffix, range
                   textAlign: "center",
                 }}
               >
-                {seg.value}
-                {suffix}
+                {seg[valueKey] ?? 0}
+                {hasShapes && seg.type === "ramp" ? `→${seg.end}` : ""}
+                {unitSuffix}
+                {hasShapes && seg.type === "growth" ? ` ${seg.growth >= 0 ? "+" : ""}${seg.growth}%/y` : ""}
               </div>
-              {/* Bar */}
-              <div
-                style={{
-                  width: "calc(100% - 6px)",
-                  height: barH,
-                  borderRadius: 4,
-                  background: isEditing ? color : `${color}88`,
-                  transition: dragState ? "none" : "height 0.2s ease, background 0.2s ease",
-                }}
-              />
+              {/* Bar, sloped or curved for ramps and growth */}
+              {sloped ? (
+                <SegmentShapeBar
+                  heights={Array.from({ length: seg.to - seg.from + 1 }, (_, k) => barHeight(segmentValueAt(seg, seg.from + k)))}
+                  fill={isEditing ? color : `${color}88`}
+                />
+              ) : (
+                <div
+                  style={{
+                    width: "calc(100% - 6px)",
+                    height: barH,
+                    borderRadius: 4,
+                    background: isEditing ? color : `${color}88`,
+                    transition: dragState ? "none" : "height 0.2s ease, background 0.2s ease",
+                  }}
+                />
+              )}
               {/* Age range label */}
               <div
                 style={{
@@ -682,10 +1358,21 @@ function SegmentBarChart({ segments, onChange, label, color, unit, suffix, range
           const leftPct = (leftEdge / totalYears) * 100;
           const isRemoving = dragState?.divIdx === i && dragState?.removing;
           const isDragging = dragState?.divIdx === i;
+          const next = displaySegments[i + 1];
 
           return (
             <div
               key={`div-${i}`}
+              ref={(el) => { dividerRefs.current[i] = el; }}
+              role="separator"
+              tabIndex={0}
+              aria-orientation="vertical"
+              aria-label={`Divider between ${describeRange(seg)} and ${describeRange(next)}`}
+              aria-valuenow={next.from}
+              aria-valuemin={seg.from + 1}
+              aria-valuemax={next.to}
+              aria-valuetext={`changes at age ${next.from}`}
+              onKeyDown={(e) => handleDividerKey(i, e)}
               style={{
                 position: "absolute",
                 left: `${leftPct}%`,
@@ -730,13 +1417,109 @@ function SegmentBarChart({ segments, onChange, label, color, unit, suffix, range
         }}
       >
         Tap to edit · Rotate dial to scale · Double-tap to split · Drag dividers to adjust · Drag out to merge
+        <span id={hintId} style={VISUALLY_HIDDEN}>
+          On a segment: Enter edits, S splits, M merges with the next. On a divider: Left and Right move it a year,
+          Shift moves five, Delete removes it.
+        </span>
       </div>
+      <div aria-live="polite" style={VISUALLY_HIDDEN}>{announcement}</div>
+    </div>
+  );
+}
+
+// A bar whose top follows the yearly heights from the segment's first age to its last
+function SegmentShapeBar({ heights, fill }) {
+  const top = Math.max(...heights);
+  const last = heights.length - 1;
+  const points = heights.map((h, k) => `${(k / last) * 100},${top - h}`);
+  return (
+    <svg
+      aria-hidden="true"
+      viewBox={`0 0 100 ${top}`}
+      preserveAspectRatio="none"
+      style={{ width: "calc(100% - 6px)", height: top, display: "block" }}
+    >
+      <polygon points={`0,${top} ${points.join(" ")} 100,${top}`} fill={fill} />
+    </svg>
+  );
+}
+
+// Flat, ramp or growth for the segment being edited, with the ramp's end value or the growth rate.
+// Keyed by type, so switching shape starts the text over from the new default.
+function SegmentShapeEditor({ segment, onChange, onCommit, onCancel, suffix }) {
+  const type = segment.type ?? "flat";
+  const param = type === "ramp" ? "end" : "growth";
+  const [text, setText] = useState(String(segment[param] ?? ""));
+
+  const handleText = (raw) => {
+    setText(raw);
+    const val = parseFloat(raw.replace(",", "."));
+    if (!Number.isFinite(val)) return;
+    if (type === "ramp" && val >= 0) onChange({ end: val });
+    if (type === "growth" && Math.abs(val) <= 100) onChange({ growth: val });
+  };
+
+  return (
+    <div
+      onKeyDown={(e) => {
+        if (e.key === "Escape") onCancel();
+      }}
+      style={{
+        marginTop: 6,
+        padding: 6,
+        display: "flex",
+        flexDirection: "column",
+        alignItems: "center",
+        gap: 6,
+        background: "rgba(20,22,28,0.95)",
+        border: "1px solid rgba(255,255,255,0.06)",
+        borderRadius: 8,
+      }}
+    >
+      <SegmentedControl options={SEGMENT_TYPES} value={type} onChange={(key) => onChange({ type: key })} />
+      {type !== "flat" && (
+        <label
+          style={{
+            display: "flex",
+            alignItems: "center",
+            gap: 6,
+            fontSize: 13,
+            color: "#888",
+            fontFamily: "'DM Sans', sans-serif",
+          }}
+        >
+          {type === "ramp" ? "Ends at" : "Grows"}
+          <input
+            type="text"
+            inputMode="decimal"
+            value={text}
+            onChange={(e) => handleText(e.target.value.replace(/[^0-9.,-]/g, ""))}
+            onKeyDown={(e) => {
+              if (e.key === "Enter") onCommit();
+            }}
+            style={{
+              width: 60,
+              padding: "4px 6px",
+              background: "rgba(255,255,255,0.04)",
+              border: "1px solid rgba(255,255,255,0.08)",
+              borderRadius: 6,
+              color: "#f0f0f0",
+              fontFamily: "'DM Mono', monospace",
+              fontSize: 13,
+              textAlign: "center",
+              outline: "none",
+            }}
+          />
+          {type === "ramp" ? suffix : "% a year"}
+        </label>
+      )}
     </div>
   );
 }
 
 /* ─── Table InputCell ─── */
-function InputCell({ value, onChange, placeholder, suffix, inputMode }) {
+function InputCell({ value, onChange, onCommit, placeholder, suffix, inputMode }) {
+  const fmt = useFormat();
   const [local, setLocal] = useState(value || "");
   const [focused, setFocused] = useState(false);
 
@@ -754,10 +1537,17 @@ function InputCell({ value, onChange, placeholder, suffix, inputMode }) {
         onChange={(e) => {
           const v = e.target.value.replace(/[^0-9.,\-]/g, "");
           setLocal(v);
-          onChange(v);
+          onChange?.(v);
+        }}
+        onKeyDown={(e) => {
+          if (onCommit && e.key === "Enter") e.currentTarget.blur();
         }}
         onFocus={() => setFocused(true)}
-        onBlur={() => setFocused(false)}
+        onBlur={() => {
+          setFocused(false);
+          // Tabbing through a cell leaves the plan (and the undo history) alone
+          if (local !== (value || "")) onCommit?.(local);
+        }}
         style={{
           width: "100%",
           background: focused ? "rgba(255,255,255,0.08)" : "transparent",
@@ -785,134 +1575,1933 @@ function InputCell({ value, onChange, placeholder, suffix, inputMode }) {
             pointerEvents: "none",
           }}
         >
-          {suffix}
+          {fmt.planUnit(suffix)}
         </span>
       )}
     </div>
   );
 }
 
-/* ─── Main Component ─── */
-export default function NetWorthProjection() {
-  const [savingsSegs, setSavingsSegs] = useState([{ from: 18, to: 60, value: 200 }]);
-  const [interestSegs, setInterestSegs] = useState([{ from: 18, to: 65, value: 7 }]);
-  const [view, setView] = useState("chart"); // "chart" | "table"
-  const [loaded, setLoaded] = useState(false);
-  const saveTimer = useRef(null);
-
-  // Load
-  useEffect(() => {
-    const saved = loadData();
-    if (saved?.savingsSegs) setSavingsSegs(saved.savingsSegs);
-    if (saved?.interestSegs) setInterestSegs(saved.interestSegs);
-    setLoaded(true);
-  }, []);
-
-  // Debounced save
-  useEffect(() => {
-    if (!loaded) return;
-    if (saveTimer.current) clearTimeout(saveTimer.current);
-    saveTimer.current = setTimeout(() => {
-      saveData({ savingsSegs, interestSegs });
-    }, 400);
-    return () => {
-      if (saveTimer.current) clearTimeout(saveTimer.current);
-    };
-  }, [savingsSegs, interestSegs, loaded]);
-
-  // Derive resolved data
-  const { resolved, interestPerYear } = useMemo(
-    () => resolveFromSegments(savingsSegs, interestSegs),
-    [savingsSegs, interestSegs],
-  );
-  const chartData = useMemo(
-    () => computeProjection(resolved, interestPerYear),
-    [resolved, interestPerYear],
-  );
-  const finalTotal = chartData.length > 0 ? chartData[chartData.length - 1].total : 0;
+/* ─── SettingsPanel ─── */
+const PROFILE_FIELDS = [
+  { key: "currentAge", label: "Current age", suffix: "y", inputMode: "numeric" },
+  { key: "startBalance", label: "Current balance", suffix: "€" },
+  { key: "retireAge", label: "Save until age", suffix: "y", inputMode: "numeric" },
+  { key: "targetAge", label: "Target age", suffix: "y", inputMode: "numeric" },
+  { key: "endAge", label: "Plan until age", suffix: "y", inputMode: "numeric" },
+];
 
-  // Table rawInputs derived from segments (with carry-forward compression)
-  const rawInputs = useMemo(() => {
-    const raw = {};
-    const savPerYear = segmentsToPerYear(savingsSegs, 18, 60);
-    const intPerYear = segmentsToPerYear(interestSegs, 18, 60);
-    let lastSav = null;
-    let lastRate = null;
-    for (let age = 18; age <= 60; age++) {
-      const sav = savPerYear[age];
-      const rate = intPerYear[age];
-      const entry = {};
-      if (sav !== lastSav) {
-        entry.savings = String(sav);
-        lastSav = sav;
-      }
-      if (rate !== lastRate) {
-        entry.rate = String(rate);
-        lastRate = rate;
-      }
-      if (Object.keys(entry).length > 0) raw[age] = entry;
-    }
-    return raw;
-  }, [savingsSegs, interestSegs]);
+const GLIDE_FIELDS = [
+  { key: "fromAge", label: "Glide from age", suffix: "y", inputMode: "numeric" },
+  { key: "toAge", label: "Glide until age", suffix: "y", inputMode: "numeric" },
+  { key: "startEquity", label: "Equities at start", suffix: "%" },
+  { key: "endEquity", label: "Equities at end", suffix: "%" },
+];
 
-  // Table editing → update segments
-  const updateTableField = useCallback((age, field, value) => {
-    const numVal = value === "" ? null : parseFloat(value);
+const FEE_FIELDS = [
+  { key: "ter", label: "TER", suffix: "% p.a." },
+  { key: "platformFee", label: "Platform fee", suffix: "€ / mo" },
+  { key: "frontLoad", label: "Front-load", suffix: "%" },
+];
 
-    if (field === "savings") {
-      const perYear = segmentsToPerYear(savingsSegs, 18, 60);
-      if (numVal !== null && !isNaN(numVal)) {
-        // Set this age and carry forward until next explicit entry
-        for (let a = age; a <= 60; a++) {
-          const hasExplicit = rawInputs[a]?.savings !== undefined && a !== age;
-          if (hasExplicit && a !== age) break;
-          perYear[a] = numVal;
-        }
-      }
-      setSavingsSegs(perYearToSegments(perYear, 18, 60));
-    } else {
-      const perYear = segmentsToPerYear(interestSegs, 18, 65);
-      if (numVal !== null && !isNaN(numVal)) {
-        for (let a = age; a <= 65; a++) {
-          const hasExplicit = rawInputs[a]?.rate !== undefined && a !== age;
-          if (hasExplicit && a !== age) break;
-          perYear[a] = numVal;
-        }
-      }
-      setInterestSegs(perYearToSegments(perYear, 18, 65));
-    }
-  }, [savingsSegs, interestSegs, rawInputs]);
+const TAX_FIELDS = [
+  { key: "allowance", label: "Sparerpauschbetrag", suffix: "€ / yr" },
+  { key: "basiszins", label: "Basiszins", suffix: "%" },
+];
 
-  const handleReset = useCallback(() => {
-    setSavingsSegs([{ from: 18, to: 60, value: 200 }]);
-    setInterestSegs([{ from: 18, to: 65, value: 7 }]);
-  }, []);
+const INCOME_FIELDS = [{ key: "salary", label: "Starting salary", suffix: "€ / yr" }];
 
-  if (!loaded) {
-    return (
-      <div
-        style={{
-          minHeight: "100vh",
-          background: "#0E1117",
-          display: "flex",
-          alignItems: "center",
-          justifyContent: "center",
-          color: "#555",
-          fontFamily: "'DM Sans', sans-serif",
-        }}
-      >
-        Loading…
-      </div>
-    );
-  }
+const SIMULATION_FIELDS = [
+  { key: "paths", label: "Simulated paths", inputMode: "numeric" },
+  { key: "seed", label: "Random seed", inputMode: "numeric" },
+  { key: "target", label: "Target balance", suffix: "€" },
+];
 
+function SettingsPanel({ fields, values, onChange }) {
   return (
-    <div style={{ minHeight: "100vh", background: "#0E1117", color: "#f0f0f0", fontFamily: "'DM Sans', sans-serif" }}>
-      <div style={{ maxWidth: 900, margin: "0 auto", padding: "24px 16px 40px" }}>
-        {/* Header */}
-        <header style={{ textAlign: "center", padding: "32px 0 24px", animation: "fadeIn 0.6s ease" }}>
-          <div
-            style={{
+    <div
+      style={{
+        display: "grid",
+        gridTemplateColumns: "repeat(auto-fit, minmax(150px, 1fr))",
+        gap: 12,
+        background: "rgba(255,255,255,0.02)",
+        border: "1px solid rgba(255,255,255,0.06)",
+        borderRadius: 12,
+        padding: "16px 16px 18px",
+        marginBottom: 24,
+      }}
+    >
+      {fields.map((f) => (
+        <div key={f.key}>
+          <div
+            style={{
+              fontSize: 13,
+              letterSpacing: 1,
+              textTransform: "uppercase",
+              color: "#555",
+              fontWeight: 500,
+              marginBottom: 6,
+            }}
+          >
+            {f.label}
+          </div>
+          <InputCell
+            value={String(values[f.key])}
+            onCommit={(v) => {
+              const num = parseFloat(v);
+              if (!isNaN(num)) onChange({ [f.key]: num });
+            }}
+            suffix={f.suffix}
+            inputMode={f.inputMode}
+          />
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/* ─── SegmentedControl ─── */
+function SegmentedControl({ options, value, onChange }) {
+  return (
+    <div
+      style={{
+        display: "flex",
+        gap: 4,
+        background: "rgba(255,255,255,0.04)",
+        borderRadius: 8,
+        padding: 3,
+      }}
+    >
+      {options.map((opt) => {
+        const active = opt.key === value;
+        return (
+          <button
+            key={opt.key}
+            onClick={() => onChange(opt.key)}
+            style={{
+              padding: "6px 10px",
+              background: active ? "rgba(255,255,255,0.08)" : "transparent",
+              border: "none",
+              borderRadius: 6,
+              color: active ? "#f0f0f0" : "#555",
+              fontFamily: "'DM Sans', sans-serif",
+              fontSize: 13,
+              fontWeight: 500,
+              cursor: "pointer",
+              transition: "all 0.2s ease",
+              whiteSpace: "nowrap",
+            }}
+          >
+            {opt.label}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
+
+/* ─── ToggleButton ─── */
+function ToggleButton({ active, onClick, color, title, children }) {
+  return (
+    <button
+      onClick={onClick}
+      title={title}
+      style={{
+        padding: "8px 14px",
+        background: active ? `${color}1F` : "transparent",
+        border: "1px solid",
+        borderColor: active ? `${color}80` : "rgba(255,255,255,0.08)",
+        borderRadius: 6,
+        color: active ? color : "#555",
+        fontFamily: "'DM Sans', sans-serif",
+        fontSize: 14,
+        cursor: "pointer",
+        transition: "all 0.2s ease",
+      }}
+    >
+      {children}
+    </button>
+  );
+}
+
+/* ─── TaskProgress ─── */
+function TaskProgress({ label, progress }) {
+  return (
+    <div role="status" style={{ display: "flex", alignItems: "center", gap: 10, margin: "8px auto 0", maxWidth: 320 }}>
+      <span style={{ fontSize: 13, color: "#777", whiteSpace: "nowrap" }}>
+        {label}… {Math.round(progress * 100)}%
+      </span>
+      <div style={{ flex: 1, height: 3, borderRadius: 2, background: "rgba(255,255,255,0.06)", overflow: "hidden" }}>
+        <div style={{ width: `${progress * 100}%`, height: "100%", background: BAND_COLOR, transition: "width 0.2s ease" }} />
+      </div>
+    </div>
+  );
+}
+
+/* ─── ChartDataTable ─── */
+// Screen-reader copy of a chart, whose drawing is hidden from assistive technology.
+// The first column heads each row.
+function ChartDataTable({ caption, columns, rows }) {
+  return (
+    <table style={VISUALLY_HIDDEN}>
+      <caption>{caption}</caption>
+      <thead>
+        <tr>
+          {columns.map((col) => <th key={col.key} scope="col">{col.label}</th>)}
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map((row, i) => (
+          <tr key={i}>
+            {columns.map((col, j) => {
+              const text = col.format && row[col.key] != null ? col.format(row[col.key]) : row[col.key] ?? "";
+              return j === 0 ? <th key={col.key} scope="row">{text}</th> : <td key={col.key}>{text}</td>;
+            })}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+/* ─── Notice ─── */
+function Notice({ notice, onDismiss }) {
+  const color = notice.tone === "error" ? "#ff6b6b" : "#4ECDC4";
+  return (
+    <div
+      role={notice.tone === "error" ? "alert" : "status"}
+      style={{
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "space-between",
+        gap: 12,
+        padding: "10px 14px",
+        marginBottom: 16,
+        borderRadius: 8,
+        border: `1px solid ${color}55`,
+        background: `${color}14`,
+        color,
+        fontSize: 14,
+        animation: "fadeIn 0.3s ease",
+      }}
+    >
+      <span>{notice.message}</span>
+      <button
+        onClick={onDismiss}
+        aria-label="Dismiss"
+        style={{ background: "none", border: "none", color, fontSize: 18, cursor: "pointer", lineHeight: 1 }}
+      >
+        ×
+      </button>
+    </div>
+  );
+}
+
+/* ─── ScenarioBar ─── */
+function ScenarioBar({
+  scenarios,
+  activeId,
+  onSelect,
+  onNew,
+  onDuplicate,
+  onRename,
+  onDelete,
+  onImport,
+  onExportJson,
+  onExportCsv,
+  onShare,
+}) {
+  const [renaming, setRenaming] = useState(false);
+  const [name, setName] = useState("");
+  const active = scenarios.find((sc) => sc.id === activeId);
+
+  const startRename = () => {
+    setName(active.name);
+    setRenaming(true);
+  };
+  const commitRename = () => {
+    onRename(active.id, name);
+    setRenaming(false);
+  };
+
+  const actionStyle = {
+    padding: "6px 10px",
+    background: "transparent",
+    border: "1px solid rgba(255,255,255,0.08)",
+    borderRadius: 6,
+    color: "#666",
+    fontFamily: "'DM Sans', sans-serif",
+    fontSize: 13,
+    cursor: "pointer",
+  };
+
+  return (
+    <div
+      style={{
+        display: "flex",
+        flexWrap: "wrap",
+        alignItems: "center",
+        justifyContent: "center",
+        gap: 8,
+        marginBottom: 16,
+      }}
+    >
+      {scenarios.map((sc) => {
+        const isActive = sc.id === active.id;
+        if (isActive && renaming) {
+          return (
+            <input
+              key={sc.id}
+              autoFocus
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              onBlur={commitRename}
+              onKeyDown={(e) => {
+                if (e.key === "Enter") commitRename();
+                if (e.key === "Escape") setRenaming(false);
+              }}
+              style={{
+                width: 160,
+                padding: "6px 10px",
+                background: "rgba(255,255,255,0.08)",
+                border: "1px solid rgba(232,146,124,0.5)",
+                borderRadius: 6,
+                color: "#f0f0f0",
+                fontFamily: "'DM Sans', sans-serif",
+                fontSize: 14,
+                outline: "none",
+              }}
+            />
+          );
+        }
+        return (
+          <button
+            key={sc.id}
+            onClick={() => onSelect(sc.id)}
+            onDoubleClick={isActive ? startRename : undefined}
+            style={{
+              padding: "6px 12px",
+              background: isActive ? "rgba(232,146,124,0.12)" : "rgba(255,255,255,0.03)",
+              border: "1px solid",
+              borderColor: isActive ? "rgba(232,146,124,0.5)" : "rgba(255,255,255,0.06)",
+              borderRadius: 16,
+              color: isActive ? "#E8927C" : "#888",
+              fontFamily: "'DM Sans', sans-serif",
+              fontSize: 14,
+              cursor: "pointer",
+            }}
+          >
+            {sc.name}
+          </button>
+        );
+      })}
+      <button onClick={onNew} style={actionStyle}>+ New</button>
+      <button onClick={onDuplicate} style={actionStyle}>Duplicate</button>
+      <button onClick={startRename} style={actionStyle}>Rename</button>
+      <button
+        onClick={() => onDelete(active.id)}
+        disabled={scenarios.length < 2}
+        style={{ ...actionStyle, opacity: scenarios.length < 2 ? 0.4 : 1 }}
+      >
+        Delete
+      </button>
+      <button onClick={onImport} style={actionStyle}>Import</button>
+      <button onClick={onExportJson} style={actionStyle}>Export JSON</button>
+      <button onClick={onExportCsv} style={actionStyle}>Export CSV</button>
+      <button onClick={onShare} style={actionStyle}>Share link</button>
+    </div>
+  );
+}
+
+/* ─── AccountBar ─── */
+// Picks which account's savings and interest tracks are being edited
+function AccountBar({
+  accounts,
+  activeId,
+  onSelect,
+  onAdd,
+  onRename,
+  onAssetClass,
+  onRemove,
+  feesOpen,
+  onToggleFees,
+  glideEnabled,
+  onToggleGlide,
+}) {
+  const [renaming, setRenaming] = useState(false);
+  const [name, setName] = useState("");
+  const active = accounts.find((acct) => acct.id === activeId) || accounts[0];
+
+  const startRename = () => {
+    setName(active.name);
+    setRenaming(true);
+  };
+  const commitRename = () => {
+    if (name.trim()) onRename(active.id, name.trim());
+    setRenaming(false);
+  };
+
+  const actionStyle = {
+    padding: "6px 10px",
+    background: "transparent",
+    border: "1px solid rgba(255,255,255,0.08)",
+    borderRadius: 6,
+    color: "#666",
+    fontFamily: "'DM Sans', sans-serif",
+    fontSize: 13,
+    cursor: "pointer",
+  };
+
+  return (
+    <div style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: 8, marginBottom: 20 }}>
+      {accounts.map((acct) => {
+        const isActive = acct.id === active.id;
+        if (isActive && renaming) {
+          return (
+            <input
+              key={acct.id}
+              autoFocus
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              onBlur={commitRename}
+              onKeyDown={(e) => {
+                if (e.key === "Enter") commitRename();
+                if (e.key === "Escape") setRenaming(false);
+              }}
+              style={{
+                width: 140,
+                padding: "6px 10px",
+                background: "rgba(255,255,255,0.08)",
+                border: `1px solid ${acct.color}80`,
+                borderRadius: 6,
+                color: "#f0f0f0",
+                fontFamily: "'DM Sans', sans-serif",
+                fontSize: 14,
+                outline: "none",
+              }}
+            />
+          );
+        }
+        return (
+          <button
+            key={acct.id}
+            onClick={() => onSelect(acct.id)}
+            onDoubleClick={isActive ? startRename : undefined}
+            title="Double-click to rename"
+            style={{
+              display: "flex",
+              alignItems: "center",
+              gap: 6,
+              padding: "6px 12px",
+              background: isActive ? `${acct.color}1F` : "rgba(255,255,255,0.03)",
+              border: "1px solid",
+              borderColor: isActive ? `${acct.color}80` : "rgba(255,255,255,0.06)",
+              borderRadius: 16,
+              color: isActive ? acct.color : "#888",
+              fontFamily: "'DM Sans', sans-serif",
+              fontSize: 14,
+              cursor: "pointer",
+            }}
+          >
+            <span style={{ width: 8, height: 8, borderRadius: "50%", background: acct.color }} />
+            {acct.name}
+          </button>
+        );
+      })}
+      {accounts.length < MAX_ACCOUNTS && <button onClick={onAdd} style={actionStyle}>+ Account</button>}
+      <select
+        value={active.assetClass}
+        onChange={(e) => onAssetClass(active.id, e.target.value)}
+        title="Asset class"
+        style={{ ...actionStyle, background: "#12151C", color: "#888" }}
+      >
+        {ASSET_CLASSES.map((cls) => (
+          <option key={cls.key} value={cls.key}>{cls.label}</option>
+        ))}
+      </select>
+      {active.id !== MAIN_ACCOUNT && <button onClick={() => onRemove(active.id)} style={actionStyle}>Remove</button>}
+      <span style={{ flex: 1 }} />
+      <ToggleButton active={feesOpen} onClick={onToggleFees} color={FEE_COLOR} title="Product costs of this account">
+        Fees
+      </ToggleButton>
+      <ToggleButton
+        active={glideEnabled}
+        onClick={onToggleGlide}
+        color={BAND_COLOR}
+        title="Shift the equities/bonds allocation towards bonds with age"
+      >
+        Glide path
+      </ToggleButton>
+    </div>
+  );
+}
+
+/* ─── EventList ─── */
+// One-off deposits and withdrawals; negative amounts take money out
+function EventList({ events, onAdd, onUpdate, onRemove, rangeFrom, rangeTo, placing, onTogglePlacing }) {
+  return (
+    <div style={{ padding: "8px 8px 0" }}>
+      {events.map((event) => {
+        const color = event.amount < 0 ? WITHDRAWAL_COLOR : DEPOSIT_COLOR;
+        return (
+          <div
+            key={event.id}
+            style={{ display: "grid", gridTemplateColumns: "1fr 80px 140px 28px", gap: 8, alignItems: "center", marginBottom: 6 }}
+          >
+            <input
+              value={event.label}
+              placeholder={event.amount < 0 ? "Withdrawal" : "Deposit"}
+              onChange={(e) => onUpdate(event.id, { label: e.target.value })}
+              style={{
+                padding: "6px 10px",
+                background: "rgba(255,255,255,0.04)",
+                border: "1px solid rgba(255,255,255,0.06)",
+                borderLeft: `3px solid ${color}`,
+                borderRadius: 6,
+                color: "#ccc",
+                fontFamily: "'DM Sans', sans-serif",
+                fontSize: 14,
+                outline: "none",
+              }}
+            />
+            <InputCell
+              value={String(event.age)}
+              onCommit={(v) => {
+                const age = parseInt(v, 10);
+                if (!isNaN(age)) onUpdate(event.id, { age });
+              }}
+              suffix="y"
+              inputMode="numeric"
+            />
+            <InputCell
+              value={String(event.amount)}
+              onCommit={(v) => {
+                const amount = parseFloat(v);
+                if (!isNaN(amount)) onUpdate(event.id, { amount });
+              }}
+              suffix="€"
+            />
+            <button
+              onClick={() => onRemove(event.id)}
+              title="Remove event"
+              style={{ background: "transparent", border: "none", color: "#555", fontSize: 18, cursor: "pointer" }}
+            >
+              ×
+            </button>
+          </div>
+        );
+      })}
+      <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: 8, marginTop: 4 }}>
+        <span style={{ fontSize: 13, color: "#555" }}>
+          {placing
+            ? `Click the chart at the age the event happens (${rangeFrom}–${rangeTo}).`
+            : "Add a one-off event here or place it on the chart. Negative amounts are withdrawals."}
+        </span>
+        <ToggleButton active={placing} onClick={onTogglePlacing} color={DEPOSIT_COLOR} title="Pick the event's age on the chart">
+          {placing ? "Cancel" : "Place on chart"}
+        </ToggleButton>
+        <button
+          onClick={() => onAdd(rangeFrom)}
+          style={{
+            padding: "6px 10px",
+            background: "transparent",
+            border: "1px solid rgba(255,255,255,0.08)",
+            borderRadius: 6,
+            color: "#666",
+            fontFamily: "'DM Sans', sans-serif",
+            fontSize: 13,
+            cursor: "pointer",
+            whiteSpace: "nowrap",
+          }}
+        >
+          + Event
+        </button>
+      </div>
+    </div>
+  );
+}
+
+/* ─── FeeReport ─── */
+// What the plan's costs take away by the target age, against the same plan without fees
+function FeeReport({ report, targetAge, realMode }) {
+  const fmt = useFormat();
+  const items = [
+    { label: "Fees paid", value: report.paid, caption: "TER, platform fees and front-loads" },
+    { label: "Lost growth", value: report.drag - report.paid, caption: "returns the fees would have earned" },
+    { label: "Cost of fees", value: report.drag, caption: `${fmt.percent(report.share)} of the zero-fee balance` },
+  ];
+  return (
+    <div
+      style={{
+        background: "rgba(255,255,255,0.02)",
+        border: "1px solid rgba(255,255,255,0.06)",
+        borderRadius: 12,
+        padding: "24px 16px",
+        marginTop: 24,
+      }}
+    >
+      <div
+        style={{
+          fontSize: 14,
+          letterSpacing: 2,
+          textTransform: "uppercase",
+          color: "#555",
+          fontWeight: 500,
+          marginBottom: 16,
+          textAlign: "center",
+        }}
+      >
+        Cost of Fees by {targetAge}
+        {realMode && ` (today's ${fmt.symbol})`}
+      </div>
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(160px, 1fr))", gap: 16 }}>
+        {items.map((item) => (
+          <div key={item.label} style={{ textAlign: "center" }}>
+            <div style={{ fontSize: 15, color: "#ccc", fontWeight: 500 }}>{item.label}</div>
+            <div style={{ fontFamily: "'DM Mono', monospace", fontSize: 20, color: FEE_COLOR, margin: "4px 0" }}>
+              {fmt.money(item.value)}
+            </div>
+            <div style={{ fontSize: 13, color: "#555" }}>{item.caption}</div>
+          </div>
+        ))}
+      </div>
+      <div style={{ fontSize: 13, color: "#666", textAlign: "center", marginTop: 16 }}>
+        Without fees the plan would reach {fmt.money(report.zeroTotal)} instead of {fmt.money(report.total)}.
+      </div>
+    </div>
+  );
+}
+
+/* ─── GoalList ─── */
+function GoalList({ goals, solutions, progress, savingsMode, mainName, realMode, onAdd, onUpdate, onRemove, onApplySavings, onApplyRate, retireAge }) {
+  const fmt = useFormat();
+  const describeSavings = (v) => (savingsMode === "income" ? `${fmt.number(v, 1, 0)}% of salary` : `${fmt.planMoney(v)} / month`);
+  const into = mainName ? ` into ${mainName}` : "";
+  const applyStyle = {
+    padding: "4px 8px",
+    background: "transparent",
+    border: `1px solid ${GOAL_COLOR}55`,
+    borderRadius: 6,
+    color: GOAL_COLOR,
+    fontFamily: "'DM Sans', sans-serif",
+    fontSize: 12,
+    cursor: "pointer",
+    whiteSpace: "nowrap",
+  };
+  return (
+    <div
+      style={{
+        background: "rgba(255,255,255,0.02)",
+        border: "1px solid rgba(255,255,255,0.06)",
+        borderRadius: 12,
+        padding: "24px 16px",
+        marginTop: 24,
+      }}
+    >
+      <div
+        style={{
+          fontSize: 14,
+          letterSpacing: 2,
+          textTransform: "uppercase",
+          color: "#555",
+          fontWeight: 500,
+          marginBottom: 16,
+          textAlign: "center",
+        }}
+      >
+        Goals
+        {realMode && ` (today's ${fmt.symbol})`}
+        {progress !== null && <TaskProgress label="Solving" progress={progress} />}
+      </div>
+      {goals.map((goal) => {
+        const solution = solutions[goal.id];
+        const met = solution && solution.projected >= solution.target;
+        return (
+          <div
+            key={goal.id}
+            style={{
+              padding: "10px 0",
+              borderTop: "1px solid rgba(255,255,255,0.04)",
+            }}
+          >
+            <div style={{ display: "grid", gridTemplateColumns: "auto 1fr 80px 28px", gap: 8, alignItems: "center" }}>
+              <SegmentedControl
+                options={GOAL_TYPES}
+                value={goal.type}
+                onChange={(type) => onUpdate(goal.id, { type, amount: DEFAULT_GOAL_AMOUNT[type] })}
+              />
+              <InputCell
+                value={String(goal.amount)}
+                onCommit={(v) => {
+                  const amount = parseFloat(v);
+                  if (amount > 0) onUpdate(goal.id, { amount });
+                }}
+                suffix={goal.type === "income" ? "€/mo" : "€"}
+              />
+              <InputCell
+                value={String(goal.age)}
+                onCommit={(v) => {
+                  const age = parseInt(v, 10);
+                  if (!isNaN(age)) onUpdate(goal.id, { age });
+                }}
+                suffix="y"
+                inputMode="numeric"
+              />
+              <button
+                onClick={() => onRemove(goal.id)}
+                title="Remove goal"
+                style={{ background: "transparent", border: "none", color: "#555", fontSize: 18, cursor: "pointer" }}
+              >
+                ×
+              </button>
+            </div>
+            {solution && (
+              <div style={{ fontSize: 13, color: "#888", marginTop: 8, display: "flex", flexWrap: "wrap", gap: "6px 16px", alignItems: "center" }}>
+                <span style={{ color: met ? DEPOSIT_COLOR : WITHDRAWAL_COLOR }}>
+                  {met ? "✓ On track" : "✗ Short"}: {fmt.money(solution.projected)} of {fmt.money(solution.target)} at {goal.age}
+                  {goal.type === "income" && ` (${GOAL_WITHDRAWAL_RATE}% draw of ${fmt.money(goal.amount)} / mo)`}
+                </span>
+                {!met && (
+                  <>
+                    <span>
+                      {solution.savings === null
+                        ? "Not reachable by saving alone"
+                        : `Save ${describeSavings(solution.savings)}${into} until ${Math.min(goal.age - 1, retireAge)}`}
+                      {solution.savings !== null && (
+                        <button onClick={() => onApplySavings(goal)} style={{ ...applyStyle, marginLeft: 8 }}>
+                          Apply to plan
+                        </button>
+                      )}
+                    </span>
+                    <span>
+                      {solution.rate === null
+                        ? `Needs more than ${SOLVER_MAX_RATE}% return`
+                        : `or earn ${fmt.number(solution.rate, 1, 0)}% p.a.${mainName ? ` on ${mainName}` : ""} until ${goal.age - 1}`}
+                      {solution.rate !== null && (
+                        <button onClick={() => onApplyRate(goal)} style={{ ...applyStyle, marginLeft: 8 }}>
+                          Apply to plan
+                        </button>
+                      )}
+                    </span>
+                  </>
+                )}
+              </div>
+            )}
+          </div>
+        );
+      })}
+      <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: 8, marginTop: 4 }}>
+        <span style={{ fontSize: 13, color: "#555" }}>
+          Income goals need {100 / GOAL_WITHDRAWAL_RATE}× the yearly income. Each answer holds the rest of the plan fixed.
+        </span>
+        <button
+          onClick={onAdd}
+          style={{
+            padding: "6px 10px",
+            background: "transparent",
+            border: "1px solid rgba(255,255,255,0.08)",
+            borderRadius: 6,
+            color: "#666",
+            fontFamily: "'DM Sans', sans-serif",
+            fontSize: 13,
+            cursor: "pointer",
+            whiteSpace: "nowrap",
+          }}
+        >
+          + Goal
+        </button>
+      </div>
+    </div>
+  );
+}
+
+/* ─── SensitivityView ─── */
+const SENSITIVITY_FIELDS = [
+  { key: "valueStep", label: "Savings & returns ±", suffix: "%" },
+  { key: "ageStep", label: "Ages ±", suffix: "y", inputMode: "numeric" },
+];
+
+const TornadoTooltip = ({ active, payload }) => {
+  const fmt = useFormat();
+  if (!active || !payload || !payload.length) return null;
+  const row = payload[0].payload;
+  const describe = (v) => {
+    if (row.unit === "money") return fmt.planMoney(v);
+    if (row.unit === "percent") return `${fmt.number(v, 2, 0)}%`;
+    return `age ${v}`;
+  };
+  return (
+    <div
+      style={{
+        background: "rgba(20,22,28,0.95)",
+        border: "1px solid rgba(255,255,255,0.1)",
+        borderRadius: 8,
+        padding: "12px 16px",
+        fontFamily: "'DM Sans', sans-serif",
+        fontSize: 14,
+      }}
+    >
+      <div style={{ color: "#999", marginBottom: 8, fontSize: 13 }}>{row.label}</div>
+      {[[row.values[0], row.low, SENSITIVITY_LOW_COLOR], [row.values[1], row.high, SENSITIVITY_HIGH_COLOR]].map(([value, delta, color]) => (
+        <div key={color} style={{ display: "flex", justifyContent: "space-between", gap: 20, padding: "2px 0" }}>
+          <span style={{ color, fontWeight: 500 }}>{describe(value)}</span>
+          <span style={{ color: "#eee", fontFamily: "'DM Mono', monospace" }}>
+            {delta >= 0 ? "+" : "−"}{fmt.money(Math.abs(delta))}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+function SensitivityView({ plan, settings, onSettings, realMode }) {
+  const fmt = useFormat();
+  // Dozens of projections per pass, so they run in the worker and results trail edits
+  const taskArgs = useMemo(() => ({ plan, settings, real: realMode }), [plan, settings, realMode]);
+  const task = useEngineTask("sensitivity", taskArgs);
+  if (!task.result) {
+    return (
+      <div style={{ animation: "fadeIn 0.4s ease" }}>
+        <SettingsPanel fields={SENSITIVITY_FIELDS} values={settings} onChange={onSettings} />
+        {task.error ? (
+          <div role="alert" style={{ fontSize: 13, color: "#ff6b6b", textAlign: "center", marginTop: 8 }}>
+            Sensitivity could not be calculated: {task.error}
+          </div>
+        ) : (
+          <TaskProgress label="Running sensitivity" progress={task.progress} />
+        )}
+      </div>
+    );
+  }
+  const { tornado, heatmap } = task.result;
+  const { targetAge } = plan.profile;
+  const describeSaving = (v) => (plan.savingsMode === "income" ? `${fmt.number(v, 2, 0)}%` : fmt.planMoney(v));
+  const flat = heatmap.cells.flat();
+  const [min, max] = [Math.min(...flat), Math.max(...flat)];
+  const center = HEATMAP_STEPS.indexOf(0);
+  const cardStyle = {
+    background: "rgba(255,255,255,0.02)",
+    border: "1px solid rgba(255,255,255,0.06)",
+    borderRadius: 12,
+    marginBottom: 24,
+  };
+  const titleStyle = {
+    fontSize: 14,
+    letterSpacing: 2,
+    textTransform: "uppercase",
+    color: "#555",
+    fontWeight: 500,
+    marginBottom: 4,
+    textAlign: "center",
+  };
+  const captionStyle = { fontSize: 13, color: "#555", textAlign: "center", marginBottom: 16 };
+  const axisStyle = { fontSize: 12, color: "#666", fontFamily: "'DM Mono', monospace", textAlign: "center" };
+
+  return (
+    <div style={{ animation: "fadeIn 0.4s ease" }}>
+      <SettingsPanel fields={SENSITIVITY_FIELDS} values={settings} onChange={onSettings} />
+      {task.slow && <TaskProgress label="Updating" progress={task.progress} />}
+
+      <div style={{ ...cardStyle, padding: "24px 8px 16px" }}>
+        <div style={titleStyle}>What Moves the Total at {targetAge}</div>
+        <div style={captionStyle}>
+          Change from {fmt.money(tornado.base)}
+          {realMode && ` (today's ${fmt.symbol})`} when each input moves by ±{settings.valueStep}% (ages ±{settings.ageStep}y)
+        </div>
+        <ResponsiveContainer width="100%" height={Math.max(120, tornado.rows.length * 32 + 40)}>
+          <BarChart data={tornado.rows} layout="vertical" stackOffset="sign" margin={{ top: 0, right: 24, left: 8, bottom: 0 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.04)" horizontal={false} />
+            <XAxis
+              type="number"
+              tickFormatter={fmt.signedCompact}
+              tick={{ fill: "#555", fontSize: 13, fontFamily: "'DM Mono', monospace" }}
+              axisLine={{ stroke: "rgba(255,255,255,0.08)" }}
+              tickLine={false}
+            />
+            <YAxis
+              type="category"
+              dataKey="label"
+              tick={{ fill: "#888", fontSize: 13, fontFamily: "'DM Sans', sans-serif" }}
+              axisLine={false}
+              tickLine={false}
+              width={170}
+            />
+            <Tooltip content={<TornadoTooltip />} cursor={{ fill: "rgba(255,255,255,0.03)" }} />
+            <ReferenceLine x={0} stroke="rgba(255,255,255,0.2)" />
+            <Bar dataKey="low" stackId="swing" fill={SENSITIVITY_LOW_COLOR} name={`−${settings.valueStep}%`} />
+            <Bar dataKey="high" stackId="swing" fill={SENSITIVITY_HIGH_COLOR} name={`+${settings.valueStep}%`} />
+          </BarChart>
+        </ResponsiveContainer>
+        <div style={{ display: "flex", justifyContent: "center", gap: 16, fontSize: 13, color: "#666", marginTop: 8 }}>
+          <span style={{ color: SENSITIVITY_LOW_COLOR }}>■ lower / earlier</span>
+          <span style={{ color: SENSITIVITY_HIGH_COLOR }}>■ higher / later</span>
+        </div>
+      </div>
+
+      <div style={{ ...cardStyle, padding: "24px 16px" }}>
+        <div style={titleStyle}>Savings × Return</div>
+        <div style={captionStyle}>
+          Total at {targetAge} with constant {plan.accounts.length > 0 ? `${plan.mainAccount.name} ` : ""}savings until{" "}
+          {plan.profile.retireAge} and a constant return; the middle cell holds the plan&apos;s averages
+        </div>
+        <div
+          style={{
+            display: "grid",
+            gridTemplateColumns: `72px repeat(${heatmap.rates.length}, 1fr)`,
+            gap: 3,
+            overflowX: "auto",
+          }}
+        >
+          <div style={{ ...axisStyle, alignSelf: "end", textAlign: "right", paddingRight: 6 }}>save ↓ earn →</div>
+          {heatmap.rates.map((rate, j) => (
+            <div key={j} style={axisStyle}>{fmt.number(rate, 2, 0)}%</div>
+          ))}
+          {heatmap.savings.map((saving, i) => ({ saving, i })).reverse().map(({ saving, i }) => (
+            <Fragment key={i}>
+              <div style={{ ...axisStyle, alignSelf: "center", textAlign: "right", paddingRight: 6 }}>
+                {describeSaving(saving)}
+              </div>
+              {heatmap.cells[i].map((total, j) => {
+                const t = max > min ? (total - min) / (max - min) : 0.5;
+                const isCenter = i === center && j === center;
+                return (
+                  <div
+                    key={j}
+                    title={`${describeSaving(saving)} at ${fmt.number(heatmap.rates[j], 2, 0)}%: ${fmt.money(total)}`}
+                    style={{
+                      padding: "10px 2px",
+                      background: `rgba(78, 205, 196, ${(0.06 + 0.6 * t).toFixed(3)})`,
+                      border: isCenter ? "1px solid #f0f0f0" : "1px solid transparent",
+                      borderRadius: 4,
+                      color: t > 0.6 ? "#12151C" : "#ccc",
+                      fontFamily: "'DM Mono', monospace",
+                      fontSize: 12,
+                      textAlign: "center",
+                    }}
+                  >
+                    {fmt.compact(Math.round(total))}
+                  </div>
+                );
+              })}
+            </Fragment>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/* ─── ActualsList ─── */
+function ActualsList({ report, planStart, currentAge, targetAge, targetTotals, realMode, onPlanStart, onAdd, onUpdate, onRemove }) {
+  const fmt = useFormat();
+  const dateStyle = {
+    padding: "6px 10px",
+    background: "rgba(255,255,255,0.04)",
+    border: "1px solid rgba(255,255,255,0.06)",
+    borderRadius: 6,
+    color: "#ccc",
+    colorScheme: "dark",
+    fontFamily: "'DM Mono', monospace",
+    fontSize: 14,
+    outline: "none",
+  };
+  const { latest } = report;
+  return (
+    <div
+      style={{
+        background: "rgba(255,255,255,0.02)",
+        border: "1px solid rgba(255,255,255,0.06)",
+        borderRadius: 12,
+        padding: "24px 16px",
+        marginTop: 24,
+      }}
+    >
+      <div
+        style={{
+          fontSize: 14,
+          letterSpacing: 2,
+          textTransform: "uppercase",
+          color: "#555",
+          fontWeight: 500,
+          marginBottom: 16,
+          textAlign: "center",
+        }}
+      >
+        Actual Balances
+      </div>
+      <div style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 13, color: "#666", marginBottom: 12 }}>
+        Age {currentAge} in
+        <input
+          type="month"
+          value={planStart}
+          onChange={(e) => MONTH_PATTERN.test(e.target.value) && onPlanStart(e.target.value)}
+          style={dateStyle}
+        />
+        <span>— the month the plan starts from</span>
+      </div>
+      {report.entries.map((entry) => {
+        const diff = entry.planned ? entry.balance - entry.planned.total : null;
+        return (
+          <div
+            key={entry.id}
+            style={{ display: "grid", gridTemplateColumns: "150px 140px 1fr 28px", gap: 8, alignItems: "center", marginBottom: 6 }}
+          >
+            <input
+              type="date"
+              value={entry.date}
+              onChange={(e) => DATE_PATTERN.test(e.target.value) && onUpdate(entry.id, { date: e.target.value })}
+              style={dateStyle}
+            />
+            <InputCell
+              value={String(entry.balance)}
+              onCommit={(v) => {
+                const balance = parseFloat(v);
+                if (balance >= 0) onUpdate(entry.id, { balance });
+              }}
+              suffix="€"
+            />
+            <span style={{ fontSize: 13, color: "#666", fontFamily: "'DM Mono', monospace" }}>
+              {diff === null
+                ? "outside the plan's ages"
+                : (
+                  <>
+                    age {fmt.number(entry.age, 1)} · plan {fmt.money(entry.planned.total)} ·{" "}
+                    <span style={{ color: diff >= 0 ? DEPOSIT_COLOR : WITHDRAWAL_COLOR }}>
+                      {diff >= 0 ? "+" : ""}{fmt.money(diff)}
+                    </span>
+                  </>
+                )}
+            </span>
+            <button
+              onClick={() => onRemove(entry.id)}
+              title="Remove balance"
+              style={{ background: "transparent", border: "none", color: "#555", fontSize: 18, cursor: "pointer" }}
+            >
+              ×
+            </button>
+          </div>
+        );
+      })}
+      {latest && (
+        <div style={{ fontSize: 14, color: "#888", textAlign: "center", margin: "16px 0 8px" }}>
+          <span style={{ color: report.gap >= 0 ? DEPOSIT_COLOR : WITHDRAWAL_COLOR }}>
+            {fmt.money(Math.abs(report.gap))} {report.gap >= 0 ? "ahead of" : "behind"} plan
+            {latest.planned.total > 0 && ` (${report.gap >= 0 ? "+" : ""}${fmt.percent((report.gap / latest.planned.total) * 100)})`}
+          </span>
+          {" "}as of {latest.date}
+          {targetTotals && (
+            <div style={{ marginTop: 4, color: REPROJECTED_COLOR }}>
+              Re-projected from it: {fmt.money(targetTotals.reprojected)} at {targetAge} instead of {fmt.money(targetTotals.planned)}
+              {realMode && ` (today's ${fmt.symbol})`}
+            </div>
+          )}
+        </div>
+      )}
+      <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: 8, marginTop: 4 }}>
+        <span style={{ fontSize: 13, color: "#555" }}>
+          Log what the portfolio is actually worth, monthly or whenever you check. Balances are nominal {fmt.planCurrency}.
+        </span>
+        <button
+          onClick={onAdd}
+          style={{
+            padding: "6px 10px",
+            background: "transparent",
+            border: "1px solid rgba(255,255,255,0.08)",
+            borderRadius: 6,
+            color: "#666",
+            fontFamily: "'DM Sans', sans-serif",
+            fontSize: 13,
+            cursor: "pointer",
+            whiteSpace: "nowrap",
+          }}
+        >
+          + Balance
+        </button>
+      </div>
+    </div>
+  );
+}
+
+/* ─── SharedBanner ─── */
+function SharedBanner({ name, onSave, onClose }) {
+  const buttonStyle = {
+    padding: "6px 12px",
+    background: "transparent",
+    border: "1px solid rgba(242,193,78,0.4)",
+    borderRadius: 6,
+    color: "#F2C14E",
+    fontFamily: "'DM Sans', sans-serif",
+    fontSize: 13,
+    cursor: "pointer",
+  };
+  return (
+    <div
+      style={{
+        display: "flex",
+        flexWrap: "wrap",
+        alignItems: "center",
+        justifyContent: "space-between",
+        gap: 12,
+        padding: "10px 14px",
+        marginBottom: 16,
+        borderRadius: 8,
+        border: "1px solid rgba(242,193,78,0.3)",
+        background: "rgba(242,193,78,0.06)",
+        color: "#ccc",
+        fontSize: 14,
+      }}
+    >
+      <span>
+        Viewing shared plan <strong style={{ color: "#F2C14E" }}>{name}</strong>. Changes are not saved.
+      </span>
+      <span style={{ display: "flex", gap: 8 }}>
+        <button onClick={onSave} style={buttonStyle}>Save as scenario</button>
+        <button onClick={onClose} style={{ ...buttonStyle, borderColor: "rgba(255,255,255,0.08)", color: "#666" }}>
+          Back to my plans
+        </button>
+      </span>
+    </div>
+  );
+}
+
+/* ─── CompareView ─── */
+function CompareView({ scenarios, compareIds, onToggle, realMode }) {
+  const fmt = useFormat();
+  const compared = useMemo(
+    () => compareIds.map((id) => scenarios.find((sc) => sc.id === id)).filter(Boolean),
+    [compareIds, scenarios],
+  );
+  // Scenarios are projected in the worker; a finished run is shown until the next one is in
+  const taskArgs = useMemo(() => ({ plans: compared.map((sc) => sc.plan) }), [compared]);
+  const task = useEngineTask("project", taskArgs);
+  const projections = task.result?.length === compared.length
+    && compared.every((sc, i) => projectionFits(task.result[i], sc.plan))
+    ? task.result
+    : null;
+  // Per-scenario totals keyed by age, in the same terms as the rest of the app
+  const series = useMemo(
+    () => (projections ?? []).map(({ data }, i) => {
+      const sc = compared[i];
+      const byAge = {};
+      for (const row of data) {
+        byAge[row.age] = realMode ? deflateRow(row).total : row.total;
+      }
+      return { id: sc.id, name: sc.name, color: SCENARIO_COLORS[i], targetAge: sc.plan.profile.targetAge, byAge };
+    }),
+    [projections, compared, realMode],
+  );
+
+  const ages = useMemo(() => {
+    const all = new Set(series.flatMap((s) => Object.keys(s.byAge).map(Number)));
+    return [...all].sort((a, b) => a - b);
+  }, [series]);
+  const lineData = useMemo(
+    () => ages.map((age) => {
+      const row = { age };
+      for (const s of series) row[s.id] = s.byAge[age];
+      return row;
+    }),
+    [ages, series],
+  );
+
+  const base = series[0];
+  const others = series.slice(1);
+  const divergence = others.map((s) => divergenceAge(base.byAge, s.byAge));
+  const firstDivergence = divergence.filter((a) => a !== null).reduce((m, a) => Math.min(m, a), Infinity);
+
+  const cardStyle = {
+    background: "rgba(255,255,255,0.02)",
+    border: "1px solid rgba(255,255,255,0.06)",
+    borderRadius: 12,
+    marginBottom: 24,
+  };
+  const headStyle = {
+    fontSize: 13,
+    letterSpacing: 1,
+    textTransform: "uppercase",
+    color: "#555",
+    fontWeight: 500,
+    textAlign: "right",
+  };
+  const columns = `56px repeat(${series.length}, 1fr)`;
+
+  return (
+    <div style={{ animation: "fadeIn 0.4s ease" }}>
+      <div style={{ display: "flex", flexWrap: "wrap", justifyContent: "center", gap: 8, marginBottom: 16 }}>
+        {scenarios.map((sc) => {
+          const idx = compareIds.indexOf(sc.id);
+          const on = idx !== -1;
+          const full = !on && compareIds.length >= MAX_COMPARE;
+          return (
+            <button
+              key={sc.id}
+              onClick={() => onToggle(sc.id)}
+              disabled={full}
+              style={{
+                display: "flex",
+                alignItems: "center",
+                gap: 6,
+                padding: "6px 12px",
+                background: on ? "rgba(255,255,255,0.06)" : "transparent",
+                border: "1px solid",
+                borderColor: on ? `${SCENARIO_COLORS[idx]}80` : "rgba(255,255,255,0.06)",
+                borderRadius: 16,
+                color: on ? "#f0f0f0" : "#555",
+                fontFamily: "'DM Sans', sans-serif",
+                fontSize: 14,
+                cursor: full ? "default" : "pointer",
+                opacity: full ? 0.4 : 1,
+              }}
+            >
+              <span
+                style={{
+                  width: 8,
+                  height: 8,
+                  borderRadius: "50%",
+                  background: on ? SCENARIO_COLORS[idx] : "#333",
+                }}
+              />
+              {sc.name}
+            </button>
+          );
+        })}
+      </div>
+
+      {compared.length < 2 ? (
+        <div style={{ ...cardStyle, padding: 32, textAlign: "center", color: "#555", fontSize: 15 }}>
+          {scenarios.length < 2
+            ? "Create or duplicate a scenario to compare plans."
+            : `Pick two to ${MAX_COMPARE} scenarios to compare.`}
+        </div>
+      ) : !projections ? (
+        <TaskProgress label="Projecting scenarios" progress={task.progress} />
+      ) : (
+        <>
+          <div style={{ ...cardStyle, padding: "24px 8px 16px" }}>
+            <ResponsiveContainer width="100%" height={320}>
+              <LineChart data={lineData} margin={{ top: 10, right: 16, left: 8, bottom: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.04)" vertical={false} />
+                <XAxis
+                  dataKey="age"
+                  tick={{ fill: "#555", fontSize: 13, fontFamily: "'DM Mono', monospace" }}
+                  axisLine={{ stroke: "rgba(255,255,255,0.08)" }}
+                  tickLine={false}
+                  interval="preserveStartEnd"
+                />
+                <YAxis
+                  tickFormatter={fmt.compact}
+                  tick={{ fill: "#555", fontSize: 13, fontFamily: "'DM Mono', monospace" }}
+                  axisLine={false}
+                  tickLine={false}
+                  width={64}
+                />
+                <Tooltip content={<AreaTooltip />} />
+                <Legend
+                  verticalAlign="top"
+                  height={36}
+                  iconType="circle"
+                  iconSize={8}
+                  wrapperStyle={{ fontFamily: "'DM Sans', sans-serif", fontSize: 14, color: "#888" }}
+                />
+                {Number.isFinite(firstDivergence) && (
+                  <ReferenceLine x={firstDivergence} stroke="rgba(255,255,255,0.2)" strokeDasharray="4 4" />
+                )}
+                {series.map((s) => (
+                  <Line
+                    key={s.id}
+                    type="monotone"
+                    dataKey={s.id}
+                    name={s.name}
+                    stroke={s.color}
+                    strokeWidth={2}
+                    dot={false}
+                    animationDuration={800}
+                  />
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+
+          {/* Divergence summary against the first selected scenario */}
+          <div style={{ ...cardStyle, padding: "16px", display: "flex", flexDirection: "column", gap: 10 }}>
+            {others.map((s, i) => {
+              const gap = (s.byAge[base.targetAge] ?? 0) - (base.byAge[base.targetAge] ?? 0);
+              return (
+                <div key={s.id} style={{ display: "flex", flexWrap: "wrap", justifyContent: "space-between", gap: 8 }}>
+                  <span style={{ color: s.color, fontWeight: 500 }}>
+                    {s.name} <span style={{ color: "#555" }}>vs</span> {base.name}
+                  </span>
+                  <span style={{ color: "#888", fontSize: 14 }}>
+                    {divergence[i] === null ? "No difference" : `Diverges from age ${divergence[i]}`}
+                    {" · "}
+                    Gap at {base.targetAge}:{" "}
+                    <span style={{ fontFamily: "'DM Mono', monospace", color: gap >= 0 ? "#8FD694" : "#ff6b6b" }}>
+                      {gap >= 0 ? "+" : ""}
+                      {fmt.money(gap)}
+                    </span>
+                  </span>
+                </div>
+              );
+            })}
+          </div>
+
+          {/* Delta table */}
+          <div style={{ ...cardStyle, overflow: "hidden" }}>
+            <div
+              style={{
+                display: "grid",
+                gridTemplateColumns: columns,
+                gap: 8,
+                padding: "14px 16px",
+                borderBottom: "1px solid rgba(255,255,255,0.06)",
+                background: "#12151C",
+              }}
+            >
+              <div style={{ ...headStyle, textAlign: "left" }}>Age</div>
+              {series.map((s) => (
+                <div key={s.id} style={{ ...headStyle, color: s.color }}>
+                  {s.name}
+                </div>
+              ))}
+            </div>
+            <div style={{ maxHeight: 480, overflowY: "auto", padding: "4px 0" }}>
+              {lineData.map((row) => {
+                const highlight = row.age === firstDivergence || row.age === base.targetAge;
+                return (
+                  <div
+                    key={row.age}
+                    style={{
+                      display: "grid",
+                      gridTemplateColumns: columns,
+                      gap: 8,
+                      padding: "6px 16px",
+                      background: highlight ? "rgba(255,255,255,0.04)" : "transparent",
+                      fontFamily: "'DM Mono', monospace",
+                      fontSize: 14,
+                    }}
+                  >
+                    <div style={{ color: "#666" }}>{row.age}</div>
+                    {series.map((s, i) => {
+                      const val = row[s.id];
+                      const delta = i > 0 && val != null && row[base.id] != null ? val - row[base.id] : null;
+                      return (
+                        <div key={s.id} style={{ textAlign: "right", color: "#ccc", whiteSpace: "nowrap" }}>
+                          {val != null ? fmt.money(val) : "—"}
+                          {delta !== null && Math.abs(delta) >= 1 && (
+                            <div style={{ fontSize: 12, color: delta > 0 ? "#8FD694" : "#ff6b6b" }}>
+                              {delta > 0 ? "+" : ""}
+                              {fmt.money(delta)}
+                            </div>
+                          )}
+                        </div>
+                      );
+                    })}
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+/* ─── Main Component ─── */
+const TABLE_COLUMNS = "56px 1fr 1fr 1fr 1fr 1.2fr 1.2fr 1.2fr";
+
+export default function NetWorthProjection() {
+  const [scenarios, setScenarios] = useState(() => [createScenario("My plan", defaultPlan())]);
+  const [activeId, setActiveId] = useState(null);
+  const [compareIds, setCompareIds] = useState([]);
+  const [shared, setShared] = useState(null); // { name, plan } opened from a link, never saved
+  const [realMode, setRealMode] = useState(false);
+  const [showBreakdown, setShowBreakdown] = useState(false); // chart stacks contributed vs earned
+  const [placingEvent, setPlacingEvent] = useState(false); // next chart click adds a one-off event
+  const [simulation, setSimulation] = useState(DEFAULT_SIMULATION);
+  const [sensitivity, setSensitivity] = useState(DEFAULT_SENSITIVITY);
+  const [display, setDisplay] = useState(DEFAULT_DISPLAY);
+  const [view, setView] = useState("chart"); // "chart" | "table" | "sensitivity" | "compare"
+  const [notice, setNotice] = useState(null); // { tone: "info" | "error", message }
+  const [loaded, setLoaded] = useState(false);
+  const [history, setHistory] = useState({}); // per scenario id (or SHARED_HISTORY) { past, future }
+  const historyBase = useRef({}); // plan each history was last recorded at
+  const saveTimer = useRef(null);
+  const importRef = useRef(null);
+
+  // Load
+  useEffect(() => {
+    const { state, issues, error } = loadData();
+    setScenarios(state.scenarios);
+    setActiveId(state.activeId);
+    setCompareIds(state.compareIds);
+    setRealMode(state.realMode);
+    setShowBreakdown(state.showBreakdown);
+    setSimulation(state.simulation);
+    setSensitivity(state.sensitivity);
+    setDisplay(state.display);
+    setHistory(loadHistory(state.scenarios.map((sc) => sc.id)));
+    if (error) {
+      setNotice({
+        tone: "error",
+        message: `Your saved plans could not be loaded: ${error}. Starting with a fresh plan.`,
+      });
+    } else if (issues.length > 0) {
+      const shown = issues.slice(0, 3).join("; ");
+      const more = issues.length > 3 ? ` and ${issues.length - 3} more` : "";
+      setNotice({ tone: "info", message: `Some saved data was repaired: ${shown}${more}.` });
+    }
+    setLoaded(true);
+  }, []);
+
+  // A broken worker or a failed background task shows up as a notice
+  useEffect(() => {
+    const listener = (message) => setNotice({ tone: "error", message });
+    engineErrorListeners.add(listener);
+    return () => engineErrorListeners.delete(listener);
+  }, []);
+
+  // Debounced save
+  useEffect(() => {
+    if (!loaded) return;
+    if (saveTimer.current) clearTimeout(saveTimer.current);
+    saveTimer.current = setTimeout(() => {
+      saveData({ scenarios, activeId, compareIds, realMode, showBreakdown, simulation, sensitivity, display });
+      saveHistory(history, scenarios.map((sc) => sc.id));
+    }, 400);
+    return () => {
+      if (saveTimer.current) clearTimeout(saveTimer.current);
+    };
+  }, [scenarios, activeId, compareIds, realMode, showBreakdown, simulation, sensitivity, display, history, loaded]);
+
+  // Shared links open as a temporary plan; bad links fall back to the saved one
+  useEffect(() => {
+    const openFromHash = () => {
+      const encoded = readShareHash(window.location.hash);
+      if (encoded === null) return;
+      try {
+        setShared(decodeSharedPlan(encoded));
+        // Each opened link starts with a clean undo history
+        delete historyBase.current[SHARED_HISTORY];
+        setHistory((h) => ({ ...h, [SHARED_HISTORY]: EMPTY_HISTORY }));
+      } catch (err) {
+        setShared(null);
+        setNotice({ tone: "error", message: `This shared link could not be opened: ${err.message}. Showing your own plan.` });
+        clearShareHash();
+      }
+    };
+    openFromHash();
+    window.addEventListener("hashchange", openFromHash);
+    return () => window.removeEventListener("hashchange", openFromHash);
+  }, []);
+
+  const activeScenario = scenarios.find((sc) => sc.id === activeId) || scenarios[0];
+  const isShared = shared !== null;
+  const plan = isShared ? shared.plan : activeScenario.plan;
+  const { profile, savingsMode, savingsSegs, raiseSegs, interestSegs, inflationSegs, withdrawalSegs, withdrawalStrategy } =
+    plan;
+
+  // All edits go to the plan on screen: the shared one or the active scenario's
+  const updatePlan = useCallback((updater) => {
+    if (isShared) {
+      setShared((sh) => ({ ...sh, plan: updater(sh.plan) }));
+      return;
+    }
+    setScenarios((list) => list.map((sc) => (sc.id === activeScenario.id ? { ...sc, plan: updater(sc.plan) } : sc)));
+  }, [isShared, activeScenario.id]);
+  const setPlanField = useCallback((key, value) => {
+    updatePlan((p) => ({ ...p, [key]: typeof value === "function" ? value(p[key]) : value }));
+  }, [updatePlan]);
+  // Undo history: plan changes are recorded once the plan has been idle for
+  // HISTORY_IDLE_MS, so a divider drag or a dial turn undoes as a single step
+  const historyKey = isShared ? SHARED_HISTORY : activeScenario.id;
+  const historyEntry = history[historyKey] ?? EMPTY_HISTORY;
+  const historyPending = historyBase.current[historyKey] !== undefined && historyBase.current[historyKey] !== plan;
+  const canUndo = historyPending || historyEntry.past.length > 0;
+  const canRedo = !historyPending && historyEntry.future.length > 0;
+
+  useEffect(() => {
+    if (!loaded) return;
+    const base = historyBase.current[historyKey];
+    if (base === undefined) historyBase.current[historyKey] = plan;
+    if (base === undefined || base === plan) return;
+    const timer = setTimeout(() => {
+      historyBase.current[historyKey] = plan;
+      setHistory((h) => {
+        const entry = h[historyKey] ?? EMPTY_HISTORY;
+        return { ...h, [historyKey]: { past: [...entry.past, base].slice(-MAX_HISTORY), future: [] } };
+      });
+    }, HISTORY_IDLE_MS);
+    return () => clearTimeout(timer);
+  }, [historyKey, plan, loaded]);
+
+  const handleUndo = useCallback(() => {
+    // A still-pending edit is the first thing to undo
+    const past = historyPending ? [...historyEntry.past, historyBase.current[historyKey]] : historyEntry.past;
+    const future = historyPending ? [] : historyEntry.future;
+    if (past.length === 0) return;
+    const previous = past[past.length - 1];
+    historyBase.current[historyKey] = previous;
+    setHistory((h) => ({
+      ...h,
+      [historyKey]: { past: past.slice(0, -1), future: [plan, ...future].slice(0, MAX_HISTORY) },
+    }));
+    updatePlan(() => previous);
+  }, [historyKey, historyEntry, historyPending, plan, updatePlan]);
+
+  const handleRedo = useCallback(() => {
+    if (!canRedo) return;
+    const [next, ...rest] = historyEntry.future;
+    historyBase.current[historyKey] = next;
+    setHistory((h) => ({
+      ...h,
+      [historyKey]: { past: [...historyEntry.past, plan].slice(-MAX_HISTORY), future: rest },
+    }));
+    updatePlan(() => next);
+  }, [canRedo, historyKey, historyEntry, plan, updatePlan]);
+
+  // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS); text fields keep their own undo
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      if (e.target.closest?.("input, textarea, select")) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) handleUndo();
+      else if ((key === "z" && e.shiftKey) || key === "y") handleRedo();
+      else return;
+      e.preventDefault();
+    };
+    window.addEventListener("keydown", handleKey);
+    return () => window.removeEventListener("keydown", handleKey);
+  }, [handleUndo, handleRedo]);
+
+  const setSavingsSegs = useCallback((v) => setPlanField("savingsSegs", v), [setPlanField]);
+  const setRaiseSegs = useCallback((v) => setPlanField("raiseSegs", v), [setPlanField]);
+
+  // Accounts: the main one lives in the top-level tracks, extras in plan.accounts
+  const [activeAccountId, setActiveAccountId] = useState(MAIN_ACCOUNT);
+  const activeAccount = plan.accounts.find((acct) => acct.id === activeAccountId) ?? null; // null: main
+  const accountSeries = useMemo(() => [
+    { id: MAIN_ACCOUNT, ...plan.mainAccount, color: ACCOUNT_COLORS[0] },
+    ...plan.accounts.map((acct, i) => ({
+      id: acct.id,
+      name: acct.name,
+      assetClass: acct.assetClass,
+      fees: acct.fees,
+      color: ACCOUNT_COLORS[i + 1],
+    })),
+  ], [plan.mainAccount, plan.accounts]);
+  const stackByAccount = plan.accounts.length > 0;
+  const [feesOpen, setFeesOpen] = useState(false);
+  const [compoundingOpen, setCompoundingOpen] = useState(false);
+  const [currencyOpen, setCurrencyOpen] = useState(false);
+  const activeAccountInfo = accountSeries.find((acct) => acct.id === activeAccountId) ?? accountSeries[0];
+  const updateAccount = useCallback((id, patch) => {
+    updatePlan((p) => (id === MAIN_ACCOUNT
+      ? { ...p, mainAccount: { ...p.mainAccount, ...patch } }
+      : { ...p, accounts: p.accounts.map((acct) => (acct.id === id ? { ...acct, ...patch } : acct)) }));
+  }, [updatePlan]);
+  const setAccountTrack = useCallback((key, value) => {
+    updatePlan((p) => ({
+      ...p,
+      accounts: p.accounts.map((acct) => (acct.id === activeAccountId
+        ? { ...acct, [key]: typeof value === "function" ? value(acct[key]) : value }
+        : acct)),
+    }));
+  }, [updatePlan, activeAccountId]);
+  const setAccountSavings = useCallback((v) => setAccountTrack("savingsSegs", v), [setAccountTrack]);
+  const setAccountInterest = useCallback((v) => setAccountTrack("interestSegs", v), [setAccountTrack]);
+  const handleAddAccount = useCallback(() => {
+    const hasBonds = accountSeries.some((acct) => acct.assetClass === "bonds");
+    const acct = defaultAccount(plan.profile, hasBonds ? "cash" : "bonds");
+    updatePlan((p) => ({ ...p, accounts: [...p.accounts, acct] }));
+    setActiveAccountId(acct.id);
+  }, [accountSeries, plan.profile, updatePlan]);
+  const handleRemoveAccount = useCallback((id) => {
+    updatePlan((p) => ({ ...p, accounts: p.accounts.filter((acct) => acct.id !== id) }));
+    setActiveAccountId(MAIN_ACCOUNT);
+  }, [updatePlan]);
+  const updateEvents = useCallback((updater) => {
+    updatePlan((p) => ({ ...p, events: normalizeEvents(updater(p.events), p.profile) }));
+  }, [updatePlan]);
+  const addEvent = useCallback((age) => {
+    updateEvents((events) => [...events, { id: createId(), age, amount: DEFAULT_EVENT_AMOUNT, label: "" }]);
+  }, [updateEvents]);
+  const updateEvent = useCallback((id, patch) => {
+    updateEvents((events) => events.map((e) => (e.id === id ? { ...e, ...patch } : e)));
+  }, [updateEvents]);
+  const removeEvent = useCallback((id) => {
+    updateEvents((events) => events.filter((e) => e.id !== id));
+  }, [updateEvents]);
+  // The table shows the net one-off per age. Clearing it removes the age's events; with several
+  // events, a new net goes into an unlabelled one so the named events stay as they are.
+  const setEventAtAge = useCallback((age, text) => {
+    const amount = parseFloat(text);
+    updateEvents((events) => {
+      const atAge = events.filter((e) => e.age === age);
+      const rest = events.filter((e) => e.age !== age);
+      if (isNaN(amount) || amount === 0) return rest;
+      if (atAge.length <= 1) return [...rest, { ...(atAge[0] ?? { id: createId(), label: "" }), age, amount }];
+      const net = atAge.reduce((sum, e) => sum + e.amount, 0);
+      const adjustment = atAge.find((e) => !e.label) ?? { id: createId(), age, amount: 0, label: "" };
+      const adjusted = adjustment.amount + amount - net;
+      const named = atAge.filter((e) => e !== adjustment);
+      return [...rest, ...named, ...(adjusted !== 0 ? [{ ...adjustment, amount: adjusted }] : [])];
+    });
+  }, [updateEvents]);
+  const updateGoals = useCallback((updater) => {
+    updatePlan((p) => ({ ...p, goals: normalizeGoals(updater(p.goals), p.profile) }));
+  }, [updatePlan]);
+  const addGoal = useCallback(() => {
+    updateGoals((goals) => [...goals, { id: createId(), type: "balance", amount: DEFAULT_GOAL_AMOUNT.balance, age: plan.profile.targetAge }]);
+  }, [updateGoals, plan.profile.targetAge]);
+  const updateGoal = useCallback((id, patch) => {
+    updateGoals((goals) => goals.map((g) => (g.id === id ? { ...g, ...patch } : g)));
+  }, [updateGoals]);
+  const removeGoal = useCallback((id) => {
+    updateGoals((goals) => goals.filter((g) => g.id !== id));
+  }, [updateGoals]);
+  const updateActuals = useCallback((updater) => {
+    updatePlan((p) => ({ ...p, actuals: normalizeActuals(updater(p.actuals)) }));
+  }, [updatePlan]);
+  const updateActual = useCallback((id, patch) => {
+    updateActuals((actuals) => actuals.map((a) => (a.id === id ? { ...a, ...patch } : a)));
+  }, [updateActuals]);
+  const removeActual = useCallback((id) => {
+    updateActuals((actuals) => actuals.filter((a) => a.id !== id));
+  }, [updateActuals]);
+  const setPlanStart = useCallback((month) => setPlanField("planStart", month), [setPlanField]);
+
+  const setPlanCurrency = useCallback((code) => setPlanField("currency", code), [setPlanField]);
+  const updateCompounding = useCallback((patch) => {
+    updatePlan((p) => ({ ...p, compounding: normalizeCompounding({ ...p.compounding, ...patch }) }));
+  }, [updatePlan]);
+  const updateTax = useCallback((patch) => {
+    updatePlan((p) => ({ ...p, tax: normalizeTax({ ...p.tax, ...patch }) }));
+  }, [updatePlan]);
+  const updateGlidePath = useCallback((patch) => {
+    updatePlan((p) => ({ ...p, glidePath: normalizeGlidePath({ ...p.glidePath, ...patch }, p.profile) }));
+  }, [updatePlan]);
+  const glideBlocked = plan.glidePath.enabled
+    && !(accountSeries.some((acct) => acct.assetClass === "equities") && accountSeries.some((acct) => acct.assetClass === "bonds"));
+  const setInterestSegs = useCallback((v) => setPlanField("interestSegs", v), [setPlanField]);
+  const setInflationSegs = useCallback((v) => setPlanField("inflationSegs", v), [setPlanField]);
+  const setWithdrawalSegs = useCallback((v) => setPlanField("withdrawalSegs", v), [setPlanField]);
+
+  const { currentAge, retireAge, targetAge, endAge } = profile;
+  const strategy = WITHDRAWAL_STRATEGIES.find((s) => s.key === withdrawalStrategy);
+  const savingsModeInfo = SAVINGS_MODES.find((m) => m.key === savingsMode);
+  const compoundingInfo = COMPOUNDING_FREQUENCIES.find((f) => f.key === plan.compounding.frequency);
+  const fmt = useMemo(
+    () => makeFormat(display.locale, plan.currency, display.convertTo, display.rate),
+    [display, plan.currency],
+  );
+  // The plan, its zero-fee twin and the actuals re-projection are worked out in the worker, so
+  // a dial turn or a drag never waits on them: the last result stays up until the next is in.
+  // Only the very first one is worked out here, so there is something to draw.
+  const [firstOverview] = useState(() => runSteps(ENGINE_TASKS.overview({ plan })));
+  const overviewArgs = useMemo(() => ({ plan }), [plan]);
+  const overviewTask = useEngineTask("overview", overviewArgs);
+  const lastOverview = useRef(firstOverview);
+  if (overviewTask.result) lastOverview.current = overviewTask.result;
+  const { projection, zeroFee, actuals: actualsInfo } = lastOverview.current;
+  const { decades, resolution, data: chartData } = projection;
+  const { resolved } = resolution;
+  // The table rows follow the shown projection, which can trail a change of ages
+  const ages = useMemo(
+    () => Array.from({ length: chartData.length + 1 }, (_, i) => i + resolved[0].age),
+    [chartData, resolved],
+  );
+  const depletedAt = useMemo(() => depletionAge(chartData), [chartData]);
+
+  // Monte Carlo runs in the worker; until a run for the current ages is in, no band is drawn
+  const simArgs = useMemo(
+    () => (simulation.enabled ? { plan, paths: simulation.paths, seed: simulation.seed } : null),
+    [plan, simulation.enabled, simulation.paths, simulation.seed],
+  );
+  const simTask = useEngineTask("simulate", simArgs);
+  const simResult = simArgs && simTask.result?.fromAge === chartData[0]?.age && simTask.result.bands.length === chartData.length
+    ? simTask.result
+    : null;
+  // Actual balances and the re-projection sit on the nearest whole age of the yearly rows
+  const actualRows = useMemo(() => {
+    const byAge = {};
+    const put = (age, key, value) => { byAge[age] = { ...byAge[age], [key]: value }; };
+    actualsInfo.entries.forEach((a) => a.planned && put(Math.round(a.age), "actual", a.balance));
+    if (actualsInfo.reprojected) {
+      put(actualsInfo.reprojected.fromAge, "reprojected", actualsInfo.reprojected.startBalance);
+      actualsInfo.reprojected.data.forEach((row) => put(row.age, "reprojected", row.total));
+    }
+    return byAge;
+  }, [actualsInfo]);
+  // New entries are dated today and start from the last logged balance, or else the plan's
+  const addActual = useCallback(() => {
+    const date = isoDate(new Date());
+    const age = ageOnDate(date, plan.planStart, currentAge);
+    const last = plan.actuals[plan.actuals.length - 1];
+    const planned = age >= currentAge && age <= endAge ? projectedAtAge(chartData, profile, age).total : profile.startBalance;
+    updateActuals((actuals) => [...actuals, { id: createId(), date, balance: last ? last.balance : Math.round(planned) }]);
+  }, [plan.planStart, plan.actuals, currentAge, endAge, chartData, profile, updateActuals]);
+
+  // Rows as displayed, carrying the other (nominal/real) figures for tooltips
+  const displayData = useMemo(
+    () => chartData.map((row, i) => {
+      const withActuals = { ...row, ...actualRows[row.age] };
+      const nominal = simResult ? { ...withActuals, ...simResult.bands[i] } : withActuals;
+      const real = deflateRow(nominal);
+      const [shown, alt] = realMode ? [real, nominal] : [nominal, real];
+      const withBand = (r) => (simResult ? { ...r, band: [r.p10, r.p90] } : r);
+      return { ...withBand(shown), alt: withBand(alt) };
+    }),
+    [chartData, actualRows, simResult, realMode],
+  );
+  const targetRow = displayData.find((r) => r.age === targetAge) || null;
+  const finalTotal = targetRow ? targetRow.total : 0;
+  const altLabel = realMode ? "nominal" : `today's ${fmt.symbol}`;
+
+  // The target is read in the same (nominal/real) terms as the headline
+  const tableColumns = plan.tax.enabled ? `${TABLE_COLUMNS} 1fr` : TABLE_COLUMNS;
+
+  // Fee drag: the zero-fee run is read in the same (nominal/real) terms as the chart
+  const feeReport = useMemo(() => {
+    const idx = displayData.indexOf(targetRow);
+    const zeroRow = zeroFee?.data[idx];
+    if (!planHasFees(plan) || !zeroRow) return null;
+    const zeroTotal = realMode ? deflateRow(zeroRow).total : zeroRow.total;
+    const paid = displayData.slice(0, idx + 1).reduce((sum, row) => sum + row.feesPaid, 0);
+    return {
+      paid,
+      drag: zeroTotal - targetRow.total,
+      share: zeroTotal > 0 ? ((zeroTotal - targetRow.total) / zeroTotal) * 100 : 0,
+      total: targetRow.total,
+      zeroTotal,
+    };
+  }, [plan, zeroFee, displayData, targetRow, realMode]);
+  // Solving runs dozens of projections per goal, so it runs in the worker and trails edits
+  const goalArgs = useMemo(() => (plan.goals.length > 0 ? { plan, real: realMode } : null), [plan, realMode]);
+  const goalTask = useEngineTask("goals", goalArgs);
+  const goalSolutions = useMemo(() => goalTask.result ?? {}, [goalTask.result]);
+  const actualTargetTotals = targetRow?.reprojected != null
+    ? { reprojected: targetRow.reprojected, planned: targetRow.total }
+    : null;
+  const goalsMet = plan.goals.filter((goal) => {
+    const solution = goalSolutions[goal.id];
+    return solution && solution.projected >= solution.target;
+  }).length;
+  const applyGoalSavings = useCallback((goal) => {
+    const solution = goalSolutions[goal.id];
+    if (solution?.savings != null) updatePlan((p) => withGoalSavings(p, goal, solution.savings));
+  }, [goalSolutions, updatePlan]);
+  const applyGoalRate = useCallback((goal) => {
+    const solution = goalSolutions[goal.id];
+    if (solution?.rate != null) updatePlan((p) => withGoalRate(p, goal, solution.rate));
+  }, [goalSolutions, updatePlan]);
+  const targetProbability = useMemo(() => {
+    const idx = targetAge - currentAge - 1;
+    if (!simResult || !chartData[idx]) return null;
+    const scale = realMode ? chartData[idx].priceIndex : 1;
+    return probabilityOfTarget(simResult.totals[idx], simulation.target * scale);
+  }, [simResult, chartData, realMode, simulation.target, targetAge, currentAge]);
+
+  // Editable tracks behind the table columns
+  const tracks = useMemo(() => ({
+    savings: { segs: savingsSegs, set: setSavingsSegs, fromAge: currentAge, toAge: retireAge },
+    withdrawal: { segs: withdrawalSegs, set: setWithdrawalSegs, fromAge: retireAge + 1, toAge: endAge },
+    rate: { segs: interestSegs, set: setInterestSegs, fromAge: currentAge, toAge: endAge },
+    inflation: { segs: inflationSegs, set: setInflationSegs, fromAge: currentAge, toAge: endAge },
+  }), [savingsSegs, withdrawalSegs, interestSegs, inflationSegs, currentAge, retireAge, endAge]);
+
+  // Table rawInputs derived from segments (with carry-forward compression)
+  const rawInputs = useMemo(() => {
+    const raw = {};
+    for (const [field, track] of Object.entries(tracks)) {
+      const perYear = segmentsToPerYear(track.segs, track.fromAge, track.toAge);
+      let last = null;
+      for (let age = track.fromAge; age <= track.toAge; age++) {
+        if (perYear[age] !== last) {
+          raw[age] = { ...raw[age], [field]: String(perYear[age]) };
+          last = perYear[age];
+        }
+      }
+    }
+    return raw;
+  }, [tracks]);
+
+  // Table editing → update segments
+  const updateTableField = useCallback((age, field, value) => {
+    const numVal = value === "" ? null : parseFloat(value);
+    const { segs, set, toAge } = tracks[field];
+    if (numVal === null || isNaN(numVal)) return;
+    // Set this age and carry forward until next explicit entry
+    let until = age;
+    while (until < toAge && rawInputs[until + 1]?.[field] === undefined) until++;
+    set(withFlatValue(segs, age, until, numVal));
+  }, [tracks, rawInputs]);
+
+  // Profile edits re-fit every track to the new age ranges
+  const updateProfile = useCallback((patch) => {
+    updatePlan((p) => normalizePlan({ ...p, profile: { ...p.profile, ...patch } }));
+  }, [updatePlan]);
+
+  // Switching strategy changes what the track's values mean, so it starts over
+  const updateSavingsMode = useCallback((key) => {
+    updatePlan((p) => ({ ...p, savingsMode: key, savingsSegs: defaultSavingsSegs(p.profile, key) }));
+  }, [updatePlan]);
+  const updateIncome = useCallback((patch) => {
+    updatePlan((p) => normalizePlan({ ...p, ...patch }));
+  }, [updatePlan]);
+
+  const updateWithdrawalStrategy = useCallback((key) => {
+    updatePlan((p) => ({ ...p, withdrawalStrategy: key, withdrawalSegs: defaultWithdrawalSegs(p.profile, key) }));
+  }, [updatePlan]);
+
+  const updateSimulation = useCallback((patch) => {
+    setSimulation((sim) => normalizeSimulation({ ...sim, ...patch }));
+  }, []);
+  const updateSensitivity = useCallback((patch) => {
+    setSensitivity((s) => normalizeSensitivity({ ...s, ...patch }));
+  }, []);
+  const updateDisplay = useCallback((patch) => {
+    setDisplay((d) => normalizeDisplay({ ...d, ...patch }));
+  }, []);
+
+  const handleReset = useCallback(() => {
+    // Only the main tracks go back to their defaults; accounts, events, goals, actuals and settings stay
+    updatePlan((p) => {
+      const defaults = defaultPlan(p.profile);
+      return {
+        ...p,
+        savingsSegs: defaultSavingsSegs(p.profile, p.savingsMode),
+        raiseSegs: defaults.raiseSegs,
+        interestSegs: defaults.interestSegs,
+        inflationSegs: defaults.inflationSegs,
+        withdrawalSegs: defaultWithdrawalSegs(p.profile, p.withdrawalStrategy),
+      };
+    });
+  }, [updatePlan]);
+
+  // Comparison defaults to the first two scenarios
+  useEffect(() => {
+    if (view === "compare" && compareIds.length === 0 && scenarios.length > 1) {
+      setCompareIds(scenarios.slice(0, 2).map((sc) => sc.id));
+    }
+  }, [view, compareIds.length, scenarios]);
+
+  const toggleCompare = useCallback((id) => {
+    setCompareIds((ids) => {
+      if (ids.includes(id)) return ids.filter((x) => x !== id);
+      return ids.length < MAX_COMPARE ? [...ids, id] : ids;
+    });
+  }, []);
+
+  // Scenario management
+  const addScenario = useCallback((name, newPlan) => {
+    const sc = createScenario(name, newPlan);
+    setScenarios((list) => [...list, sc]);
+    setActiveId(sc.id);
+  }, []);
+  const handleNewScenario = useCallback(() => {
+    addScenario(`Scenario ${scenarios.length + 1}`, defaultPlan(profile));
+  }, [addScenario, scenarios.length, profile]);
+  const handleDuplicateScenario = useCallback(() => {
+    addScenario(`${activeScenario.name} (copy)`, plan);
+  }, [addScenario, activeScenario.name, plan]);
+  const handleRenameScenario = useCallback((id, name) => {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    setScenarios((list) => list.map((sc) => (sc.id === id ? { ...sc, name: trimmed } : sc)));
+  }, []);
+  // Share links
+  const handleShare = useCallback(() => {
+    const url = shareUrl(activeScenario.name, plan);
+    const fallback = () => window.prompt("Copy this link to share the plan:", url);
+    if (!navigator.clipboard) {
+      fallback();
+      return;
+    }
+    navigator.clipboard.writeText(url).then(
+      () => setNotice({ tone: "info", message: `Link to "${activeScenario.name}" copied to the clipboard.` }),
+      fallback,
+    );
+  }, [activeScenario.name, plan]);
+  const handleSaveShared = useCallback(() => {
+    addScenario(shared.name, shared.plan);
+    setShared(null);
+    clearShareHash();
+    setNotice({ tone: "info", message: `Saved "${shared.name}" to your scenarios.` });
+  }, [addScenario, shared]);
+  const handleCloseShared = useCallback(() => {
+    setShared(null);
+    clearShareHash();
+  }, []);
+
+  // File import/export
+  const handleExportJson = useCallback(() => {
+    const file = serializePlanFile(activeScenario, { realMode, simulation, sensitivity, display });
+    downloadFile(`${fileSlug(activeScenario.name)}.json`, JSON.stringify(file, null, 2), "application/json");
+  }, [activeScenario, realMode, simulation, sensitivity, display]);
+  const handleExportCsv = useCallback(() => {
+    const code = fmt.currency.toLowerCase();
+    const suffix = realMode ? `-todays-${code}` : fmt.converted ? `-${code}` : "";
+    const csv = `\uFEFF${projectionToCsv(displayData, decades, stackByAccount ? accountSeries : [], plan.tax.enabled, {
+      currency: fmt.currency,
+      rate: fmt.factor,
+    })}`; // BOM so spreadsheets read UTF-8
+    downloadFile(`${fileSlug(activeScenario.name)}${suffix}.csv`, csv, "text/csv;charset=utf-8");
+  }, [activeScenario.name, displayData, decades, stackByAccount, accountSeries, plan.tax.enabled, realMode, fmt]);
+  const handleImportFile = useCallback(async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const { name, plan: imported, settings } = parsePlanFile(await file.text());
+      addScenario(name, imported);
+      if ("realMode" in settings) setRealMode(!!settings.realMode);
+      if (settings.simulation) setSimulation(normalizeSimulation(settings.simulation));
+      if (settings.sensitivity) setSensitivity(normalizeSensitivity(settings.sensitivity));
+      if (settings.display) setDisplay(normalizeDisplay(settings.display));
+      setNotice({ tone: "info", message: `Imported "${name}" as a new scenario.` });
+    } catch (err) {
+      setNotice({ tone: "error", message: `Could not import ${file.name}: ${err.message}.` });
+    }
+  }, [addScenario]);
+
+  const handleDeleteScenario = useCallback((id) => {
+    if (scenarios.length < 2) return;
+    const sc = scenarios.find((x) => x.id === id);
+    if (!window.confirm(`Delete "${sc.name}"?`)) return;
+    const rest = scenarios.filter((x) => x.id !== id);
+    setScenarios(rest);
+    setCompareIds((ids) => ids.filter((x) => x !== id));
+    if (id === activeScenario.id) setActiveId(rest[0].id);
+  }, [scenarios, activeScenario.id]);
+
+  if (!loaded) {
+    return (
+      <div
+        style={{
+          minHeight: "100vh",
+          background: "#0E1117",
+          display: "flex",
+          alignItems: "center",
+          justifyContent: "center",
+          color: "#555",
+          fontFamily: "'DM Sans', sans-serif",
+        }}
+      >
+        Loading…
+      </div>
+    );
+  }
+
+  return (
+    <FormatContext.Provider value={fmt}>
+    <div style={{ minHeight: "100vh", background: "#0E1117", color: "#f0f0f0", fontFamily: "'DM Sans', sans-serif" }}>
+      <div style={{ maxWidth: 900, margin: "0 auto", padding: "24px 16px 40px" }}>
+        {/* Header */}
+        <header style={{ textAlign: "center", padding: "32px 0 24px", animation: "fadeIn 0.6s ease" }}>
+          <div
+            style={{
               fontSize: 13,
               letterSpacing: 3,
               textTransform: "uppercase",
@@ -933,13 +3522,83 @@ export default function NetWorthProjection() {
               marginBottom: 8,
             }}
           >
-            {formatEUR(finalTotal)}
+            {fmt.money(finalTotal)}
           </h1>
-          <div style={{ color: "#666", fontSize: 16 }}>Projected value at age 65</div>
+          <div style={{ color: "#666", fontSize: 16 }}>
+            Projected value at age {targetAge}
+            {realMode && ` in today's ${fmt.symbol}`}
+          </div>
+          {targetRow && (
+            <div style={{ color: "#444", fontSize: 14, marginTop: 4, fontFamily: "'DM Mono', monospace" }}>
+              {fmt.money(targetRow.alt.total)} {altLabel}
+            </div>
+          )}
+          {plan.tax.enabled && targetRow && (
+            <div style={{ color: TAX_COLOR, fontSize: 14, marginTop: 10 }}>
+              {fmt.money(targetRow.afterTax)} after tax if sold at {targetAge}
+            </div>
+          )}
+          {plan.goals.length > 0 && (
+            <div style={{ color: goalsMet === plan.goals.length ? DEPOSIT_COLOR : GOAL_COLOR, fontSize: 14, marginTop: 10 }}>
+              {goalsMet} of {plan.goals.length} goal{plan.goals.length === 1 ? "" : "s"} on track
+            </div>
+          )}
+          {depletedAt !== null && (
+            <div style={{ color: WITHDRAWAL_COLOR, fontSize: 14, marginTop: 10 }}>
+              Money runs out at age {depletedAt}
+            </div>
+          )}
+          {simResult && targetRow && (
+            <div style={{ color: "#888", fontSize: 14, marginTop: 10 }}>
+              Median {fmt.money(targetRow.p50)} · 80% range {fmt.money(targetRow.p10)}–{fmt.money(targetRow.p90)}
+              <div style={{ marginTop: 4, color: BAND_COLOR }}>
+                {Math.round(targetProbability * 100)}% chance of reaching {fmt.money(simulation.target)}
+                {realMode && ` (today's ${fmt.symbol})`}
+              </div>
+            </div>
+          )}
+          {simTask.slow && <TaskProgress label="Simulating" progress={simTask.progress} />}
         </header>
 
+        {isShared ? (
+          <SharedBanner name={shared.name} onSave={handleSaveShared} onClose={handleCloseShared} />
+        ) : (
+          <ScenarioBar
+            scenarios={scenarios}
+            activeId={activeScenario.id}
+            onSelect={setActiveId}
+            onNew={handleNewScenario}
+            onDuplicate={handleDuplicateScenario}
+            onRename={handleRenameScenario}
+            onDelete={handleDeleteScenario}
+            onImport={() => importRef.current?.click()}
+            onExportJson={handleExportJson}
+            onExportCsv={handleExportCsv}
+            onShare={handleShare}
+          />
+        )}
+        <input
+          ref={importRef}
+          type="file"
+          accept="application/json,.json"
+          onChange={handleImportFile}
+          style={{ display: "none" }}
+        />
+        {notice && <Notice notice={notice} onDismiss={() => setNotice(null)} />}
+
+        <SettingsPanel fields={PROFILE_FIELDS} values={profile} onChange={updateProfile} />
+
         {/* Toggle + Reset */}
-        <div style={{ display: "flex", justifyContent: "center", alignItems: "center", gap: 12, marginBottom: 24 }}>
+        <div
+          style={{
+            display: "flex",
+            flexWrap: "wrap",
+            justifyContent: "center",
+            alignItems: "center",
+            gap: 12,
+            marginBottom: 24,
+          }}
+        >
           <div
             style={{
               display: "flex",
@@ -947,11 +3606,12 @@ export default function NetWorthProjection() {
               background: "rgba(255,255,255,0.04)",
               borderRadius: 8,
               padding: 3,
-              width: 200,
+              width: 420,
+              maxWidth: "100%",
             }}
           >
-            {["Chart", "Table"].map((tab) => {
-              const active = (tab === "Chart" && view === "chart") || (tab === "Table" && view === "table");
+            {["Chart", "Table", "Sensitivity", "Compare"].map((tab) => {
+              const active = view === tab.toLowerCase();
               return (
                 <button
                   key={tab}
@@ -979,6 +3639,79 @@ export default function NetWorthProjection() {
               );
             })}
           </div>
+          <ToggleButton
+            active={realMode}
+            onClick={() => setRealMode((v) => !v)}
+            color={INFLATION_COLOR}
+            title={`Show all values in today's ${fmt.currency}`}
+          >
+            Today's {fmt.symbol}
+          </ToggleButton>
+          <ToggleButton
+            active={showBreakdown}
+            onClick={() => setShowBreakdown((v) => !v)}
+            color={CONTRIBUTED_COLOR}
+            title="Split the balance into money paid in and growth earned on it"
+          >
+            Contributed vs earned
+          </ToggleButton>
+          <ToggleButton
+            active={simulation.enabled}
+            onClick={() => updateSimulation({ enabled: !simulation.enabled })}
+            color={BAND_COLOR}
+            title="Simulate random yearly returns around each interest segment"
+          >
+            Monte Carlo
+          </ToggleButton>
+          <ToggleButton
+            active={plan.tax.enabled}
+            onClick={() => updateTax({ enabled: !plan.tax.enabled })}
+            color={TAX_COLOR}
+            title="Apply German capital gains tax (Abgeltungsteuer, Soli, Vorabpauschale)"
+          >
+            German tax
+          </ToggleButton>
+          <ToggleButton
+            active={currencyOpen}
+            onClick={() => setCurrencyOpen((v) => !v)}
+            color={TOTAL_COLOR}
+            title="Plan currency, number format and an optional conversion for viewing"
+          >
+            {fmt.currency} · {LOCALES.find((l) => l.key === display.locale).label}
+          </ToggleButton>
+          <ToggleButton
+            active={compoundingOpen}
+            onClick={() => setCompoundingOpen((v) => !v)}
+            color={TOTAL_COLOR}
+            title="How often interest is credited and when contributions are paid in"
+          >
+            Compounding
+          </ToggleButton>
+          {[
+            { label: "Undo", onClick: handleUndo, enabled: canUndo, title: "Undo (Ctrl+Z)" },
+            { label: "Redo", onClick: handleRedo, enabled: canRedo, title: "Redo (Ctrl+Shift+Z)" },
+          ].map(({ label, onClick, enabled, title }) => (
+            <button
+              key={label}
+              onClick={onClick}
+              disabled={!enabled}
+              title={title}
+              style={{
+                padding: "8px 14px",
+                background: "transparent",
+                border: "1px solid rgba(255,255,255,0.08)",
+                borderRadius: 6,
+                color: "#888",
+                fontFamily: "'DM Sans', sans-serif",
+                fontSize: 14,
+                cursor: enabled ? "pointer" : "default",
+                opacity: enabled ? 1 : 0.4,
+                transition: "all 0.2s ease",
+              }}
+            >
+              {label}
+            </button>
+          ))}
           <button
             onClick={handleReset}
             style={{
@@ -1005,6 +3738,73 @@ export default function NetWorthProjection() {
           </button>
         </div>
 
+        {savingsMode === "income" && <SettingsPanel fields={INCOME_FIELDS} values={plan} onChange={updateIncome} />}
+
+        {simulation.enabled && (
+          <SettingsPanel fields={SIMULATION_FIELDS} values={simulation} onChange={updateSimulation} />
+        )}
+
+        {currencyOpen && (
+          <>
+            <div style={{ display: "flex", flexWrap: "wrap", justifyContent: "center", alignItems: "center", gap: 8, marginBottom: 12 }}>
+              <span style={{ fontSize: 13, color: "#555" }}>Plan in</span>
+              <SegmentedControl options={CURRENCIES} value={plan.currency} onChange={setPlanCurrency} />
+              <SegmentedControl options={LOCALES} value={display.locale} onChange={(locale) => updateDisplay({ locale })} />
+            </div>
+            <div style={{ display: "flex", flexWrap: "wrap", justifyContent: "center", alignItems: "center", gap: 8, marginBottom: 24 }}>
+              <span style={{ fontSize: 13, color: "#555" }}>View in</span>
+              <SegmentedControl
+                options={[
+                  { key: PLAN_CURRENCY_VIEW, label: "Plan currency" },
+                  ...CURRENCIES.filter((c) => c.key !== plan.currency),
+                ]}
+                value={fmt.converted ? display.convertTo : PLAN_CURRENCY_VIEW}
+                onChange={(key) => updateDisplay({ convertTo: key === PLAN_CURRENCY_VIEW ? null : key })}
+              />
+            </div>
+            {fmt.converted && (
+              <SettingsPanel
+                fields={[{ key: "rate", label: `1 ${plan.currency} in ${fmt.currency}` }]}
+                values={display}
+                onChange={updateDisplay}
+              />
+            )}
+          </>
+        )}
+
+        {compoundingOpen && (
+          <div style={{ display: "flex", flexWrap: "wrap", justifyContent: "center", gap: 8, marginBottom: 24 }}>
+            <SegmentedControl
+              options={COMPOUNDING_FREQUENCIES}
+              value={plan.compounding.frequency}
+              onChange={(frequency) => updateCompounding({ frequency })}
+            />
+            <SegmentedControl
+              options={CONTRIBUTION_TIMINGS}
+              value={plan.compounding.timing}
+              onChange={(timing) => updateCompounding({ timing })}
+            />
+          </div>
+        )}
+
+        {plan.tax.enabled && (
+          <>
+            <div style={{ display: "flex", flexWrap: "wrap", justifyContent: "center", gap: 8, marginBottom: 12 }}>
+              <SegmentedControl
+                options={TEILFREISTELLUNG}
+                value={plan.tax.fundType}
+                onChange={(fundType) => updateTax({ fundType })}
+              />
+              <SegmentedControl
+                options={CHURCH_TAX_OPTIONS}
+                value={plan.tax.churchTax}
+                onChange={(churchTax) => updateTax({ churchTax })}
+              />
+            </div>
+            <SettingsPanel fields={TAX_FIELDS} values={plan.tax} onChange={updateTax} />
+          </>
+        )}
+
         {/* Chart View */}
         {view === "chart" && (
           <div style={{ animation: "fadeIn 0.4s ease" }}>
@@ -1018,64 +3818,254 @@ export default function NetWorthProjection() {
                 marginBottom: 24,
               }}
             >
-              <ResponsiveContainer width="100%" height={320}>
-                <AreaChart data={chartData} margin={{ top: 10, right: 16, left: 8, bottom: 0 }}>
-                  <defs>
-                    {DECADES.map((d) => (
-                      <linearGradient key={d.key} id={`grad_${d.key}`} x1="0" y1="0" x2="0" y2="1">
-                        <stop offset="0%" stopColor={d.color} stopOpacity={0.3} />
-                        <stop offset="100%" stopColor={d.color} stopOpacity={0.02} />
+              <div aria-hidden="true" style={{ cursor: placingEvent ? "crosshair" : undefined }}>
+                <ResponsiveContainer width="100%" height={320}>
+                  <AreaChart
+                    data={displayData}
+                    margin={{ top: 10, right: 16, left: 8, bottom: 0 }}
+                    onClick={(state) => {
+                      // Only in placing mode; rows are year-end balances, so the label is the age the event starts
+                      if (!placingEvent || state?.activeLabel === undefined) return;
+                      addEvent(Math.min(Number(state.activeLabel), endAge - 1));
+                      setPlacingEvent(false);
+                    }}
+                  >
+                    <defs>
+                      <linearGradient id="grad_start" x1="0" y1="0" x2="0" y2="1">
+                        <stop offset="0%" stopColor={START_COLOR} stopOpacity={0.3} />
+                        <stop offset="100%" stopColor={START_COLOR} stopOpacity={0.02} />
                       </linearGradient>
+                      {[
+                        { key: "principal", color: CONTRIBUTED_COLOR },
+                        { key: "growth", color: EARNED_COLOR },
+                        ...accountSeries.map((acct) => ({ key: accountKey(acct.id), color: acct.color })),
+                        ...decades,
+                      ].map((d) => (
+                        <linearGradient key={d.key} id={`grad_${d.key}`} x1="0" y1="0" x2="0" y2="1">
+                          <stop offset="0%" stopColor={d.color} stopOpacity={0.3} />
+                          <stop offset="100%" stopColor={d.color} stopOpacity={0.02} />
+                        </linearGradient>
+                      ))}
+                    </defs>
+                    <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.04)" vertical={false} />
+                    <XAxis
+                      dataKey="age"
+                      tick={{ fill: "#555", fontSize: 13, fontFamily: "'DM Mono', monospace" }}
+                      axisLine={{ stroke: "rgba(255,255,255,0.08)" }}
+                      tickLine={false}
+                      interval="preserveStartEnd"
+                    />
+                    <YAxis
+                      tickFormatter={fmt.compact}
+                      tick={{ fill: "#555", fontSize: 13, fontFamily: "'DM Mono', monospace" }}
+                      axisLine={false}
+                      tickLine={false}
+                      width={64}
+                    />
+                    <Tooltip content={<AreaTooltip altLabel={altLabel} />} />
+                    <Legend
+                      verticalAlign="top"
+                      height={36}
+                      iconType="circle"
+                      iconSize={8}
+                      wrapperStyle={{ fontFamily: "'DM Sans', sans-serif", fontSize: 14, color: "#888" }}
+                    />
+                    {!simResult && !showBreakdown && stackByAccount && accountSeries.map((acct) => (
+                      <Area
+                        key={acct.id}
+                        type="monotone"
+                        dataKey={accountKey(acct.id)}
+                        name={acct.name}
+                        stackId="1"
+                        stroke={acct.color}
+                        strokeWidth={1.5}
+                        fill={`url(#grad_${accountKey(acct.id)})`}
+                        animationDuration={800}
+                      />
                     ))}
-                  </defs>
-                  <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.04)" vertical={false} />
-                  <XAxis
-                    dataKey="age"
-                    tick={{ fill: "#555", fontSize: 13, fontFamily: "'DM Mono', monospace" }}
-                    axisLine={{ stroke: "rgba(255,255,255,0.08)" }}
-                    tickLine={false}
-                    interval="preserveStartEnd"
-                  />
-                  <YAxis
-                    tickFormatter={formatCompact}
-                    tick={{ fill: "#555", fontSize: 13, fontFamily: "'DM Mono', monospace" }}
-                    axisLine={false}
-                    tickLine={false}
-                    width={64}
-                  />
-                  <Tooltip content={<AreaTooltip />} />
-                  <Legend
-                    verticalAlign="top"
-                    height={36}
-                    iconType="circle"
-                    iconSize={8}
-                    wrapperStyle={{ fontFamily: "'DM Sans', sans-serif", fontSize: 14, color: "#888" }}
-                  />
-                  {DECADES.map((d) => (
+                    {!simResult && !showBreakdown && !stackByAccount && profile.startBalance > 0 && (
+                      <Area
+                        type="monotone"
+                        dataKey="start"
+                        name="Start balance"
+                        stackId="1"
+                        stroke={START_COLOR}
+                        strokeWidth={1.5}
+                        fill="url(#grad_start)"
+                        animationDuration={800}
+                      />
+                    )}
+                    {!simResult && !showBreakdown && !stackByAccount && decades.map((d) => (
+                      <Area
+                        key={d.key}
+                        type="monotone"
+                        dataKey={d.key}
+                        name={d.label}
+                        stackId="1"
+                        stroke={d.color}
+                        strokeWidth={1.5}
+                        fill={`url(#grad_${d.key})`}
+                        animationDuration={800}
+                      />
+                    ))}
+                    {showBreakdown && [
+                      { key: "principal", name: "Contributed", color: CONTRIBUTED_COLOR },
+                      { key: "growth", name: "Earned", color: EARNED_COLOR },
+                    ].map((layer) => (
+                      // Under Monte Carlo the expected split is drawn as lines over the band
+                      <Area
+                        key={layer.key}
+                        type="monotone"
+                        dataKey={layer.key}
+                        name={layer.name}
+                        stackId={simResult ? undefined : "1"}
+                        stroke={layer.color}
+                        strokeWidth={1.5}
+                        fill={simResult ? "none" : `url(#grad_${layer.key})`}
+                        animationDuration={800}
+                      />
+                    ))}
+                    {simResult && (
+                      <Area
+                        type="monotone"
+                        dataKey="band"
+                        name="10th–90th pct"
+                        stroke="none"
+                        fill={BAND_COLOR}
+                        fillOpacity={0.18}
+                        animationDuration={800}
+                      />
+                    )}
+                    {simResult && (
+                      <Area
+                        type="monotone"
+                        dataKey="p50"
+                        name="Median"
+                        stroke={BAND_COLOR}
+                        strokeWidth={2}
+                        fill="none"
+                        animationDuration={800}
+                      />
+                    )}
                     <Area
-                      key={d.key}
                       type="monotone"
-                      dataKey={d.key}
-                      name={d.label}
-                      stackId="1"
-                      stroke={d.color}
-                      strokeWidth={1.5}
-                      fill={`url(#grad_${d.key})`}
-                      animationDuration={800}
+                      dataKey="total"
+                      stroke={TOTAL_COLOR}
+                      strokeWidth={2}
+                      strokeDasharray="6 3"
+                      fill="none"
+                      animationDuration={1000}
+                      name={simResult ? "Expected" : "Total"}
                     />
-                  ))}
-                  <Area
-                    type="monotone"
-                    dataKey="total"
-                    name="Total"
-                    stroke={TOTAL_COLOR}
-                    strokeWidth={2}
-                    strokeDasharray="6 3"
-                    fill="none"
-                    animationDuration={1000}
-                  />
-                </AreaChart>
-              </ResponsiveContainer>
+                    {plan.events.map((event) => {
+                      const row = displayData.find((r) => r.age === Math.max(event.age, currentAge + 1));
+                      if (!row) return null;
+                      const color = event.amount < 0 ? WITHDRAWAL_COLOR : DEPOSIT_COLOR;
+                      return (
+                        <ReferenceDot
+                          key={event.id}
+                          x={row.age}
+                          y={row.total}
+                          r={5}
+                          fill={color}
+                          stroke="#12151C"
+                          label={{
+                            value: `${event.label ? `${event.label} ` : ""}${event.amount > 0 ? "+" : ""}${fmt.compact(event.amount)}`,
+                            position: "top",
+                            fill: color,
+                            fontSize: 11,
+                            fontFamily: "'DM Sans', sans-serif",
+                          }}
+                        />
+                      );
+                    })}
+                    {actualsInfo.reprojected && (
+                      <Area
+                        type="monotone"
+                        dataKey="reprojected"
+                        stroke={REPROJECTED_COLOR}
+                        strokeWidth={2}
+                        strokeDasharray="2 4"
+                        fill="none"
+                        connectNulls
+                        animationDuration={600}
+                        name="Re-projected"
+                      />
+                    )}
+                    {actualsInfo.latest && (
+                      <Area
+                        type="linear"
+                        dataKey="actual"
+                        stroke={ACTUAL_COLOR}
+                        strokeWidth={1.5}
+                        fill="none"
+                        dot={{ r: 3, fill: ACTUAL_COLOR, stroke: "#12151C" }}
+                        connectNulls
+                        animationDuration={600}
+                        name="Actual"
+                      />
+                    )}
+                    {plan.goals.map((goal) => (
+                      <ReferenceDot
+                        key={goal.id}
+                        x={goal.age}
+                        y={goalTarget(goal)}
+                        r={6}
+                        fill="none"
+                        stroke={GOAL_COLOR}
+                        strokeWidth={2}
+                        ifOverflow="extendDomain"
+                        label={{
+                          value: `Goal ${fmt.compact(goal.amount)}${goal.type === "income" ? "/mo" : ""}`,
+                          position: "right",
+                          fill: GOAL_COLOR,
+                          fontSize: 11,
+                          fontFamily: "'DM Sans', sans-serif",
+                        }}
+                      />
+                    ))}
+                    {depletedAt !== null && (
+                      <ReferenceLine
+                        x={depletedAt}
+                        stroke={WITHDRAWAL_COLOR}
+                        strokeDasharray="4 4"
+                        label={{
+                          value: `Money runs out at ${depletedAt}`,
+                          position: "insideTopRight",
+                          fill: WITHDRAWAL_COLOR,
+                          fontSize: 12,
+                          fontFamily: "'DM Sans', sans-serif",
+                        }}
+                      />
+                    )}
+                  </AreaChart>
+                </ResponsiveContainer>
+              </div>
+              <ChartDataTable
+                caption={`Projected balance by age${realMode ? ` in today's ${fmt.symbol}` : ""}`}
+                columns={[
+                  { key: "age", label: "Age" },
+                  { key: "total", label: simResult ? "Expected" : "Total", format: fmt.money },
+                  { key: "principal", label: "Contributed", format: fmt.money },
+                  { key: "growth", label: "Earned", format: fmt.money },
+                  { key: "withdrawal", label: "Withdrawal", format: fmt.money },
+                  ...(simResult
+                    ? [{ key: "p10", label: "10th percentile", format: fmt.money }, { key: "p90", label: "90th percentile", format: fmt.money }]
+                    : []),
+                  ...(actualsInfo.latest ? [{ key: "actual", label: "Actual", format: fmt.money }] : []),
+                ]}
+                rows={displayData}
+              />
+              <EventList
+                events={plan.events}
+                onAdd={addEvent}
+                onUpdate={updateEvent}
+                onRemove={removeEvent}
+                rangeFrom={currentAge}
+                rangeTo={endAge - 1}
+                placing={placingEvent}
+                onTogglePlacing={() => setPlacingEvent((on) => !on)}
+              />
             </div>
 
             {/* Segment bar charts */}
@@ -1088,25 +4078,129 @@ export default function NetWorthProjection() {
                 marginBottom: 24,
               }}
             >
+              <AccountBar
+                accounts={accountSeries}
+                activeId={activeAccount ? activeAccount.id : MAIN_ACCOUNT}
+                onSelect={setActiveAccountId}
+                onAdd={handleAddAccount}
+                onRename={(id, name) => updateAccount(id, { name })}
+                onAssetClass={(id, assetClass) => updateAccount(id, { assetClass })}
+                onRemove={handleRemoveAccount}
+                feesOpen={feesOpen}
+                onToggleFees={() => setFeesOpen((v) => !v)}
+                glideEnabled={plan.glidePath.enabled}
+                onToggleGlide={() => updateGlidePath({ enabled: !plan.glidePath.enabled })}
+              />
+              {feesOpen && (
+                <SettingsPanel
+                  fields={FEE_FIELDS}
+                  values={activeAccountInfo.fees}
+                  onChange={(patch) =>
+                    updateAccount(activeAccountInfo.id, { fees: normalizeFees({ ...activeAccountInfo.fees, ...patch }) })}
+                />
+              )}
+              {plan.glidePath.enabled && (
+                <>
+                  <SettingsPanel fields={GLIDE_FIELDS} values={plan.glidePath} onChange={updateGlidePath} />
+                  {glideBlocked && (
+                    <div style={{ fontSize: 13, color: WITHDRAWAL_COLOR, margin: "-12px 0 20px" }}>
+                      The glide path needs at least one equities and one bonds account.
+                    </div>
+                  )}
+                </>
+              )}
+              {activeAccount ? (
+                <SegmentBarChart
+                  key={`${activeAccount.id}-savings`}
+                  segments={activeAccount.savingsSegs}
+                  onChange={setAccountSavings}
+                  label={`Monthly Savings · ${activeAccount.name}`}
+                  color="#E8927C"
+                  unit={fmt.planCurrency}
+                  suffix={fmt.planSymbol}
+                  rangeFrom={currentAge}
+                  rangeTo={retireAge}
+                />
+              ) : (
+                <>
+                  <div style={{ display: "flex", justifyContent: "flex-end", marginBottom: 8 }}>
+                    <SegmentedControl options={SAVINGS_MODES.map((m) => ({ ...m, label: fmt.planUnit(m.label) }))} value={savingsMode} onChange={updateSavingsMode} />
+                  </div>
+                  <SegmentBarChart
+                    segments={savingsSegs}
+                    onChange={setSavingsSegs}
+                    label={savingsMode === "income" ? "Savings Share of Income" : "Monthly Savings Rate"}
+                    color="#E8927C"
+                    unit={savingsMode === "income" ? savingsModeInfo.unit : fmt.planCurrency}
+                    suffix={savingsModeInfo.suffix}
+                    rangeFrom={currentAge}
+                    rangeTo={retireAge}
+                  />
+                </>
+              )}
+              {!activeAccount && savingsMode === "income" && (
+                <SegmentBarChart
+                  segments={raiseSegs}
+                  onChange={setRaiseSegs}
+                  label="Annual Raise"
+                  color={RAISE_COLOR}
+                  unit="%"
+                  suffix="%"
+                  rangeFrom={currentAge}
+                  rangeTo={retireAge}
+                />
+              )}
+              <div style={{ display: "flex", justifyContent: "flex-end", marginBottom: 8 }}>
+                <SegmentedControl
+                  options={WITHDRAWAL_STRATEGIES.map((w) => ({ ...w, label: fmt.planUnit(w.label) }))}
+                  value={withdrawalStrategy}
+                  onChange={updateWithdrawalStrategy}
+                />
+              </div>
               <SegmentBarChart
-                segments={savingsSegs}
-                onChange={setSavingsSegs}
-                label="Monthly Savings Rate"
-                color="#E8927C"
-                unit="EUR"
-                suffix="€"
-                rangeFrom={18}
-                rangeTo={60}
+                segments={withdrawalSegs}
+                onChange={setWithdrawalSegs}
+                label={withdrawalStrategy === "fixed" ? "Monthly Withdrawal" : "Annual Withdrawal Rate"}
+                color={WITHDRAWAL_COLOR}
+                unit={strategy.unit}
+                suffix={strategy.suffix}
+                rangeFrom={retireAge + 1}
+                rangeTo={endAge}
               />
               <SegmentBarChart
-                segments={interestSegs}
-                onChange={setInterestSegs}
-                label="Annual Interest Rate"
+                key={`${activeAccount ? activeAccount.id : MAIN_ACCOUNT}-interest`}
+                segments={activeAccount ? activeAccount.interestSegs : interestSegs}
+                onChange={activeAccount ? setAccountInterest : setInterestSegs}
+                label={activeAccount ? `Annual Interest Rate · ${activeAccount.name}` : "Annual Interest Rate"}
                 color="#4ECDC4"
                 unit="%"
                 suffix="%"
-                rangeFrom={18}
-                rangeTo={65}
+                rangeFrom={currentAge}
+                rangeTo={endAge}
+              />
+              {simulation.enabled && (
+                <SegmentBarChart
+                  key={`${activeAccount ? activeAccount.id : MAIN_ACCOUNT}-vol`}
+                  segments={activeAccount ? activeAccount.interestSegs : interestSegs}
+                  onChange={activeAccount ? setAccountInterest : setInterestSegs}
+                  label="Interest Volatility (Std. Dev.)"
+                  color={BAND_COLOR}
+                  unit="%"
+                  suffix="%"
+                  rangeFrom={currentAge}
+                  rangeTo={endAge}
+                  valueKey="vol"
+                />
+              )}
+              <SegmentBarChart
+                segments={inflationSegs}
+                onChange={setInflationSegs}
+                label="Annual Inflation Rate"
+                color={INFLATION_COLOR}
+                unit="%"
+                suffix="%"
+                rangeFrom={currentAge}
+                rangeTo={endAge}
               />
             </div>
           </div>
@@ -1126,7 +4220,7 @@ export default function NetWorthProjection() {
             <div
               style={{
                 display: "grid",
-                gridTemplateColumns: "56px 1fr 1fr",
+                gridTemplateColumns: tableColumns,
                 gap: 8,
                 padding: "14px 16px",
                 borderBottom: "1px solid rgba(255,255,255,0.06)",
@@ -1141,37 +4235,53 @@ export default function NetWorthProjection() {
               >
                 Age
               </div>
-              <div
-                style={{
-                  fontSize: 13,
-                  letterSpacing: 1,
-                  textTransform: "uppercase",
-                  color: "#555",
-                  fontWeight: 500,
-                  textAlign: "right",
-                }}
-              >
-                Monthly (EUR)
-              </div>
-              <div
-                style={{
-                  fontSize: 13,
-                  letterSpacing: 1,
-                  textTransform: "uppercase",
-                  color: "#555",
-                  fontWeight: 500,
-                  textAlign: "right",
-                }}
-              >
-                Interest (%)
-              </div>
+              {[
+                savingsMode === "income" ? `Saved (% · ${fmt.planCurrency})` : `Monthly (${fmt.planCurrency})`,
+                "Interest (%)",
+                "Inflation (%)",
+                `One-off (${fmt.planCurrency})`,
+                realMode ? "Balance (today)" : "Balance",
+                "Contributed",
+                "Earned",
+                ...(plan.tax.enabled ? ["Tax paid"] : []),
+              ].map((h) => (
+                <div
+                  key={h}
+                  style={{
+                    fontSize: 13,
+                    letterSpacing: 1,
+                    textTransform: "uppercase",
+                    color: "#555",
+                    fontWeight: 500,
+                    textAlign: "right",
+                  }}
+                >
+                  {h}
+                </div>
+              ))}
             </div>
             <div style={{ maxHeight: 480, overflowY: "auto", padding: "4px 0" }}>
-              {AGES.map((age, idx) => {
+              {ages.map((age, idx) => {
                 const entry = rawInputs[age] || {};
-                const res = resolved[idx];
-                const decadeColor = DECADES.find((d) => age >= d.from && age <= d.to)?.color;
-                const isDecadeStart = [18, 30, 40, 50].includes(age);
+                // Past the shown projection's saving years even if retirement just moved later
+                const retired = age > retireAge || !resolved[idx];
+                const cashField = retired ? "withdrawal" : "savings";
+                const incomeMode = !retired && savingsMode === "income";
+                const cashValue = retired
+                  ? resolution.withdrawalPerYear[age]
+                  : incomeMode
+                    ? resolved[idx].share
+                    : resolved[idx].savings;
+                const decade = decades.find((d) => age >= d.from && age <= d.to);
+                const decadeColor = retired ? WITHDRAWAL_COLOR : decade?.color;
+                const isDecadeStart = decade?.from === age;
+                const rate = resolution.interestPerYear[age];
+                const inflation = resolution.inflationPerYear[age];
+                // Balances are as of the start of each age, i.e. the previous row's year end
+                const prevRow = idx === 0 ? null : displayData[idx - 1];
+                const balance = prevRow ? prevRow.total : profile.startBalance;
+                const principal = prevRow ? prevRow.principal : profile.startBalance;
+                const growth = prevRow ? prevRow.growth : 0;
 
                 return (
                   <div key={age}>
@@ -1187,13 +4297,28 @@ export default function NetWorthProjection() {
                           opacity: 0.7,
                         }}
                       >
-                        {DECADES.find((d) => d.from === age)?.label}
+                        {decade.label}
+                      </div>
+                    )}
+                    {age === retireAge + 1 && (
+                      <div
+                        style={{
+                          padding: "10px 16px 4px",
+                          fontSize: 13,
+                          letterSpacing: 1.5,
+                          textTransform: "uppercase",
+                          color: WITHDRAWAL_COLOR,
+                          fontWeight: 600,
+                          opacity: 0.7,
+                        }}
+                      >
+                        Withdrawals · {fmt.planUnit(strategy.unit)}
                       </div>
                     )}
                     <div
                       style={{
                         display: "grid",
-                        gridTemplateColumns: "56px 1fr 1fr",
+                        gridTemplateColumns: tableColumns,
                         gap: 8,
                         padding: "4px 16px",
                         alignItems: "center",
@@ -1209,19 +4334,81 @@ export default function NetWorthProjection() {
                       >
                         {age}
                       </div>
-                      <InputCell
-                        value={entry.savings ?? ""}
-                        onChange={(v) =>
-                          updateTableField(age, "savings", v)}
-                        placeholder={res.savings > 0 ? String(res.savings) : "—"}
-                        suffix="€"
-                      />
+                      <div>
+                        <InputCell
+                          value={entry[cashField] ?? ""}
+                          onChange={(v) =>
+                            updateTableField(age, cashField, v)}
+                          placeholder={cashValue > 0 ? String(cashValue) : "—"}
+                          suffix={retired ? strategy.suffix : savingsModeInfo.suffix}
+                        />
+                        {incomeMode && (
+                          <div
+                            title={`${fmt.planMoney(resolved[idx].income)} salary`}
+                            style={{
+                              fontSize: 12,
+                              fontFamily: "'DM Mono', monospace",
+                              color: "#666",
+                              textAlign: "right",
+                              marginTop: 2,
+                            }}
+                          >
+                            {fmt.planMoney(resolved[idx].savings)} / mo
+                          </div>
+                        )}
+                      </div>
                       <InputCell
                         value={entry.rate ?? ""}
                         onChange={(v) => updateTableField(age, "rate", v)}
-                        placeholder={res.rate > 0 ? String(res.rate) : "—"}
+                        placeholder={rate > 0 ? String(rate) : "—"}
+                        suffix="%"
+                      />
+                      <InputCell
+                        value={entry.inflation ?? ""}
+                        onChange={(v) => updateTableField(age, "inflation", v)}
+                        placeholder={inflation > 0 ? String(inflation) : "—"}
                         suffix="%"
                       />
+                      {age < endAge ? (
+                        <InputCell
+                          value={resolution.lumpSums[age] ? String(resolution.lumpSums[age]) : ""}
+                          onCommit={(v) => setEventAtAge(age, v)}
+                          placeholder="—"
+                          suffix="€"
+                        />
+                      ) : (
+                        <div />
+                      )}
+                      <div
+                        style={{
+                          fontSize: 15,
+                          fontFamily: "'DM Mono', monospace",
+                          color: "#888",
+                          textAlign: "right",
+                          whiteSpace: "nowrap",
+                        }}
+                      >
+                        {fmt.money(balance)}
+                      </div>
+                      {[
+                        { value: principal, color: CONTRIBUTED_COLOR },
+                        { value: growth, color: EARNED_COLOR },
+                        ...(plan.tax.enabled ? [{ value: displayData[idx]?.taxPaid, color: TAX_COLOR }] : []),
+                      ].map((cell, i) => (
+                        <div
+                          key={i}
+                          style={{
+                            fontSize: 15,
+                            fontFamily: "'DM Mono', monospace",
+                            color: cell.color,
+                            opacity: 0.8,
+                            textAlign: "right",
+                            whiteSpace: "nowrap",
+                          }}
+                        >
+                          {fmt.money(cell.value)}
+                        </div>
+                      ))}
                     </div>
                   </div>
                 );
@@ -1230,14 +4417,71 @@ export default function NetWorthProjection() {
           </div>
         )}
 
+        {/* Sensitivity View */}
+        {view === "sensitivity" && (
+          <SensitivityView plan={plan} settings={sensitivity} onSettings={updateSensitivity} realMode={realMode} />
+        )}
+
+        {/* Compare View */}
+        {view === "compare" && (
+          <CompareView
+            scenarios={scenarios}
+            compareIds={compareIds}
+            onToggle={toggleCompare}
+            realMode={realMode}
+          />
+        )}
+
+        {view !== "compare" && (
+          <GoalList
+            goals={plan.goals}
+            solutions={goalSolutions}
+            progress={goalTask.slow ? goalTask.progress : null}
+            savingsMode={savingsMode}
+            mainName={plan.accounts.length > 0 ? plan.mainAccount.name : null}
+            realMode={realMode}
+            onAdd={addGoal}
+            onUpdate={updateGoal}
+            onRemove={removeGoal}
+            onApplySavings={applyGoalSavings}
+            onApplyRate={applyGoalRate}
+            retireAge={retireAge}
+          />
+        )}
+
+        {view !== "compare" && (
+          <ActualsList
+            report={actualsInfo}
+            planStart={plan.planStart}
+            currentAge={currentAge}
+            targetAge={targetAge}
+            targetTotals={actualTargetTotals}
+            realMode={realMode}
+            onPlanStart={setPlanStart}
+            onAdd={addActual}
+            onUpdate={updateActual}
+            onRemove={removeActual}
+          />
+        )}
+
+        {view !== "compare" && feeReport && <FeeReport report={feeReport} targetAge={targetAge} realMode={realMode} />}
+
         {/* Pie Chart Breakdown */}
-        {(() => {
-          const pieData = DECADES.map((d) => ({
-            name: d.label,
-            value: chartData.length > 0 ? chartData[chartData.length - 1][d.key] : 0,
-            color: d.color,
+        {view !== "compare" && (() => {
+          const pieData = [
+            { key: "start", name: "Start balance", caption: "Start balance", color: START_COLOR },
+            ...decades.map((d) => ({ key: d.key, name: d.label, caption: `Ages ${d.label}`, color: d.color })),
+          ].map((d) => ({
+            ...d,
+            value: targetRow ? targetRow[d.key] : 0,
+            alt: targetRow ? targetRow.alt[d.key] : 0,
           })).filter((d) => d.value > 0);
           const pieTotal = pieData.reduce((a, b) => a + b.value, 0);
+          const splitData = [
+            { key: "principal", caption: "Contributed", color: CONTRIBUTED_COLOR },
+            { key: "growth", caption: "Earned", color: EARNED_COLOR },
+          ].map((d) => ({ ...d, value: targetRow ? Math.max(0, targetRow[d.key]) : 0 }));
+          const splitTotal = splitData.reduce((a, b) => a + b.value, 0);
 
           return (
             <div
@@ -1263,7 +4507,8 @@ export default function NetWorthProjection() {
                   marginBottom: 16,
                 }}
               >
-                Contribution Breakdown at 65
+                Contribution Breakdown at {targetAge}
+                {realMode && ` (today's ${fmt.symbol})`}
               </div>
               <div
                 style={{
@@ -1275,59 +4520,73 @@ export default function NetWorthProjection() {
                   width: "100%",
                 }}
               >
-                <ResponsiveContainer width={200} height={200}>
-                  <PieChart>
-                    <Pie
-                      data={pieData}
-                      dataKey="value"
-                      cx="50%"
-                      cy="50%"
-                      innerRadius={50}
-                      outerRadius={85}
-                      paddingAngle={2}
-                      strokeWidth={0}
-                      animationDuration={800}
-                    >
-                      {pieData.map((entry, i) => <Cell key={i} fill={entry.color} />)}
-                    </Pie>
-                    <Tooltip
-                      content={({ active, payload }) => {
-                        if (!active || !payload || !payload.length) return null;
-                        const d = payload[0];
-                        const pct = pieTotal > 0 ? ((d.value / pieTotal) * 100).toFixed(1) : 0;
-                        return (
-                          <div
-                            style={{
-                              background: "rgba(20,22,28,0.95)",
-                              border: "1px solid rgba(255,255,255,0.1)",
-                              borderRadius: 8,
-                              padding: "8px 12px",
-                              fontFamily: "'DM Sans', sans-serif",
-                              fontSize: 14,
-                            }}
-                          >
-                            <span style={{ color: d.payload.color, fontWeight: 500 }}>{d.name}</span>
-                            <span style={{ color: "#eee", marginLeft: 12, fontFamily: "'DM Mono', monospace" }}>
-                              {formatEUR(d.value)} ({pct}%)
-                            </span>
-                          </div>
-                        );
-                      }}
-                    />
-                  </PieChart>
-                </ResponsiveContainer>
+                <div aria-hidden="true">
+                  <ResponsiveContainer width={200} height={200}>
+                    <PieChart>
+                      <Pie
+                        data={pieData}
+                        dataKey="value"
+                        cx="50%"
+                        cy="50%"
+                        innerRadius={50}
+                        outerRadius={85}
+                        paddingAngle={2}
+                        strokeWidth={0}
+                        animationDuration={800}
+                      >
+                        {pieData.map((entry, i) => <Cell key={i} fill={entry.color} />)}
+                      </Pie>
+                      <Tooltip
+                        content={({ active, payload }) => {
+                          if (!active || !payload || !payload.length) return null;
+                          const d = payload[0];
+                          const pct = fmt.number(pieTotal > 0 ? (d.value / pieTotal) * 100 : 0, 1);
+                          return (
+                            <div
+                              style={{
+                                background: "rgba(20,22,28,0.95)",
+                                border: "1px solid rgba(255,255,255,0.1)",
+                                borderRadius: 8,
+                                padding: "8px 12px",
+                                fontFamily: "'DM Sans', sans-serif",
+                                fontSize: 14,
+                              }}
+                            >
+                              <span style={{ color: d.payload.color, fontWeight: 500 }}>{d.name}</span>
+                              <span style={{ color: "#eee", marginLeft: 12, fontFamily: "'DM Mono', monospace" }}>
+                                {fmt.money(d.value)} ({pct}%)
+                              </span>
+                              <span style={{ color: "#666", marginLeft: 8, fontSize: 12, fontFamily: "'DM Mono', monospace" }}>
+                                {fmt.money(d.payload.alt)} {altLabel}
+                              </span>
+                            </div>
+                          );
+                        }}
+                      />
+                    </PieChart>
+                  </ResponsiveContainer>
+                </div>
+                <ChartDataTable
+                  caption={`Contribution breakdown at ${targetAge}`}
+                  columns={[
+                    { key: "caption", label: "Source" },
+                    { key: "value", label: "Amount", format: fmt.money },
+                    { key: "share", label: "Share", format: (v) => `${fmt.number(v, 1)}%` },
+                  ]}
+                  rows={pieData.map((d) => ({ ...d, share: pieTotal > 0 ? (d.value / pieTotal) * 100 : 0 }))}
+                />
                 <div style={{ display: "flex", flexDirection: "column", gap: 10 }}>
                   {pieData.map((d) => {
-                    const pct = pieTotal > 0 ? ((d.value / pieTotal) * 100).toFixed(1) : 0;
+                    const pct = fmt.number(pieTotal > 0 ? (d.value / pieTotal) * 100 : 0, 1);
                     return (
                       <div key={d.name} style={{ display: "flex", alignItems: "center", gap: 10 }}>
                         <div
                           style={{ width: 12, height: 12, borderRadius: "50%", background: d.color, flexShrink: 0 }}
                         />
                         <div>
-                          <div style={{ fontSize: 15, color: "#ccc", fontWeight: 500 }}>Ages {d.name}</div>
+                          <div style={{ fontSize: 15, color: "#ccc", fontWeight: 500 }}>{d.caption}</div>
                           <div style={{ fontFamily: "'DM Mono', monospace", fontSize: 16, color: d.color }}>
-                            {formatEUR(d.value)} <span style={{ color: "#555", fontSize: 13 }}>({pct}%)</span>
+                            {fmt.money(d.value)} <span style={{ color: "#555", fontSize: 13 }}>({pct}%)</span>
                           </div>
                         </div>
                       </div>
@@ -1335,6 +4594,41 @@ export default function NetWorthProjection() {
                   })}
                 </div>
               </div>
+              {splitTotal > 0 && (
+                <div style={{ width: "100%", maxWidth: 480, marginTop: 24 }}>
+                  <div
+                    style={{
+                      fontSize: 13,
+                      letterSpacing: 1.5,
+                      textTransform: "uppercase",
+                      color: "#555",
+                      fontWeight: 500,
+                      marginBottom: 8,
+                      textAlign: "center",
+                    }}
+                  >
+                    Contributed vs. earned
+                  </div>
+                  <div style={{ display: "flex", height: 10, borderRadius: 5, overflow: "hidden", gap: 2 }}>
+                    {splitData.map((d) => (
+                      <div key={d.key} style={{ flex: d.value, background: d.color, opacity: 0.8 }} />
+                    ))}
+                  </div>
+                  <div style={{ display: "flex", justifyContent: "space-between", marginTop: 8 }}>
+                    {splitData.map((d, i) => (
+                      <div key={d.key} style={{ textAlign: i === 0 ? "left" : "right" }}>
+                        <div style={{ fontSize: 15, color: "#ccc", fontWeight: 500 }}>{d.caption}</div>
+                        <div style={{ fontFamily: "'DM Mono', monospace", fontSize: 16, color: d.color }}>
+                          {fmt.money(d.value)}{" "}
+                          <span style={{ color: "#555", fontSize: 13 }}>
+                            ({fmt.percent((d.value / splitTotal) * 100)})
+                          </span>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
             </div>
           );
         })()}
@@ -1348,9 +4642,12 @@ export default function NetWorthProjection() {
             fontFamily: "'DM Mono', monospace",
           }}
         >
-          Monthly compounding · EUR · Ages 18–65
+          {compoundingInfo.label} compounding · contributions at {plan.compounding.timing} of month ·{" "}
+          {realMode ? `Today's ${fmt.currency}` : fmt.currency}
+          {fmt.converted && ` at ${fmt.number(display.rate, 4)} per ${fmt.planCurrency}`} · Ages {currentAge}–{endAge}
         </div>
       </div>
     </div>
+    </FormatContext.Provider>
   );
 }
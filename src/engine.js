@@ -0,0 +1,1572 @@
+/*
+ * Projection engine: plan normalization, the monthly projection, Monte Carlo simulation,
+ * goal solving, actuals and sensitivity. Framework-free, so it runs the same in the app,
+ * in Node and in a worker.
+ *
+ * Plans go in, plain rows come out:
+ *
+ *   import { defaultPlan, project } from "./engine.js";
+ *   const { rows, depletionAge } = project(defaultPlan());
+ *
+ * Amounts are in the plan's currency, rates in % p.a. and savings per month. The stable API
+ * is `project`, `simulate`, `PlanValidationError` and the helpers documented in the README;
+ * the other exports serve the app and may change with it.
+ */
+
+/* ─── Constants ─── */
+const MAX_AGE = 100;
+
+const DEFAULT_PROFILE = { currentAge: 18, startBalance: 0, retireAge: 60, targetAge: 65, endAge: 95 };
+export const DEFAULT_SAVINGS = 200;
+export const DEFAULT_INTEREST = 7;
+const DEFAULT_INFLATION = 2;
+const DEFAULT_VOLATILITY = 15;
+
+// Segment shapes: a constant value, a linear ramp to an end value, or compound growth per year
+export const SEGMENT_TYPES = [
+  { key: "flat", label: "Flat" },
+  { key: "ramp", label: "Ramp" },
+  { key: "growth", label: "Growth" },
+];
+export const DEFAULT_SEGMENT_GROWTH = 3; // % per year
+const MAX_SEGMENT_GROWTH = 100;
+
+// Savings track semantics: euros per month, or a share of a salary that grows by the raise track
+export const SAVINGS_MODES = [
+  { key: "fixed", label: "Fixed €", suffix: "€", unit: "EUR / month", defaultValue: DEFAULT_SAVINGS },
+  { key: "income", label: "% of income", suffix: "%", unit: "% of gross salary", defaultValue: 10 },
+];
+const DEFAULT_SAVINGS_MODE = "fixed";
+const DEFAULT_SALARY = 40000; // gross per year
+const DEFAULT_RAISE = 2;
+
+// Withdrawal track semantics: euros per month, or % p.a. of the balance at retirement / each year
+export const WITHDRAWAL_STRATEGIES = [
+  { key: "fixed", label: "Fixed €", suffix: "€", unit: "EUR / month", defaultValue: 0 },
+  { key: "rule4", label: "4% rule", suffix: "%", unit: "% of balance at retirement, inflation-indexed", defaultValue: 4 },
+  { key: "percent", label: "% of balance", suffix: "%", unit: "% of current balance p.a.", defaultValue: 4 },
+];
+const DEFAULT_WITHDRAWAL_STRATEGY = "fixed";
+
+// Asset classes set a new account's default rate and volatility; the glide path moves
+// money between the equities and bonds accounts
+export const ASSET_CLASSES = [
+  { key: "equities", label: "Equities", rate: 7, vol: 15 },
+  { key: "bonds", label: "Bonds", rate: 3, vol: 5 },
+  { key: "cash", label: "Cash", rate: 2, vol: 0 },
+  { key: "pension", label: "Pension", rate: 5, vol: 10 },
+  { key: "realEstate", label: "Real estate", rate: 4, vol: 10 },
+];
+export const MAIN_ACCOUNT = "main"; // id of the account held in the plan's top-level tracks
+export const MAX_ACCOUNTS = 6; // the main account plus up to five more
+// Product costs per account: TER in % p.a., platform fee in € per month, front-load in % of each contribution
+const DEFAULT_FEES = { ter: 0, platformFee: 0, frontLoad: 0 };
+const DEFAULT_MAIN_ACCOUNT = { name: "Portfolio", assetClass: "equities", fees: DEFAULT_FEES };
+const DEFAULT_GLIDE_PATH = { enabled: false, fromAge: 40, toAge: 65, startEquity: 90, endEquity: 40 };
+
+// German capital income tax (Abgeltungsteuer) for investors resident in Germany
+const ABGELTUNG_RATE = 0.25;
+const SOLI_RATE = 0.055; // Solidaritätszuschlag, charged on the Abgeltungsteuer
+const VAP_FACTOR = 0.7; // Vorabpauschale uses 70% of the Basiszins
+export const TEILFREISTELLUNG = [
+  { key: "equity", label: "Equity fund 30%", exempt: 30 },
+  { key: "mixed", label: "Mixed fund 15%", exempt: 15 },
+  { key: "none", label: "No exemption", exempt: 0 },
+];
+export const CHURCH_TAX_OPTIONS = [
+  { key: 0, label: "No church tax" },
+  { key: 8, label: "Church 8%" },
+  { key: 9, label: "Church 9%" },
+];
+// Plans keep their amounts in one currency; conversion is a display concern
+export const CURRENCIES = [
+  { key: "EUR", label: "EUR" },
+  { key: "GBP", label: "GBP" },
+  { key: "USD", label: "USD" },
+  { key: "CHF", label: "CHF" },
+];
+export const DEFAULT_CURRENCY = "EUR";
+// Number locales the app and the CLI format amounts in
+export const LOCALES = [
+  { key: "de-DE", label: "Deutsch" },
+  { key: "en-GB", label: "English (UK)" },
+  { key: "en-US", label: "English (US)" },
+];
+export const DEFAULT_LOCALE = "de-DE";
+
+// Contributions stay monthly; interest is credited at the chosen frequency
+export const COMPOUNDING_FREQUENCIES = [
+  { key: "daily", label: "Daily", perYear: 365 },
+  { key: "monthly", label: "Monthly", perYear: 12 },
+  { key: "quarterly", label: "Quarterly", perYear: 4 },
+  { key: "annual", label: "Annual", perYear: 1 },
+];
+export const CONTRIBUTION_TIMINGS = [
+  { key: "end", label: "End of month" },
+  { key: "start", label: "Start of month" },
+];
+const DEFAULT_COMPOUNDING = { frequency: "monthly", timing: "end" };
+
+const DEFAULT_TAX = { enabled: false, allowance: 1000, basiszins: 2.53, churchTax: 0, fundType: "equity" };
+export const DEFAULT_EVENT_AMOUNT = 10000;
+
+export const GOAL_TYPES = [
+  { key: "balance", label: "Balance", unit: "EUR" },
+  { key: "income", label: "Income", unit: "EUR / month" },
+];
+// Passive income goals are read as a sustainable 4% yearly draw on the balance
+export const GOAL_WITHDRAWAL_RATE = 4;
+export const DEFAULT_GOAL_AMOUNT = { balance: 1000000, income: 2500 };
+export const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+export const DATE_PATTERN = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+
+export const DEFAULT_SIMULATION = { enabled: false, paths: 1000, seed: 42, target: 1000000 };
+export const DEFAULT_SENSITIVITY = { valueStep: 10, ageStep: 2 }; // ±% on segment values, ±years on ages
+export const HEATMAP_STEPS = [-3, -2, -1, 0, 1, 2, 3]; // multiples of valueStep around the plan's averages
+
+const DECADE_COLORS = ["#E8927C", "#F2C14E", "#4ECDC4", "#7B8CDE", "#C38FD6", "#8FD694"];
+
+/* ─── Profile helpers ─── */
+function clampInt(val, min, max, fallback) {
+  const n = Math.round(Number(val));
+  if (!Number.isFinite(n)) return Math.max(min, Math.min(max, fallback));
+  return Math.max(min, Math.min(max, n));
+}
+
+// Keeps currentAge ≤ retireAge < targetAge ≤ endAge so every range below is non-empty
+function normalizeProfile(profile) {
+  const p = { ...DEFAULT_PROFILE, ...profile };
+  const currentAge = clampInt(p.currentAge, 0, MAX_AGE - 1, DEFAULT_PROFILE.currentAge);
+  const retireAge = clampInt(p.retireAge, currentAge, MAX_AGE - 1, DEFAULT_PROFILE.retireAge);
+  const targetAge = clampInt(p.targetAge, retireAge + 1, MAX_AGE, DEFAULT_PROFILE.targetAge);
+  const endAge = clampInt(p.endAge, targetAge, MAX_AGE, DEFAULT_PROFILE.endAge);
+  const startBalance = Math.max(0, Number(p.startBalance) || 0);
+  return { currentAge, startBalance, retireAge, targetAge, endAge };
+}
+
+// Contribution buckets by decade of life; short stubs (18–19, 60) fold into their neighbour
+export function buildDecades(fromAge, toAge) {
+  const bounds = [];
+  for (let from = fromAge; from <= toAge; ) {
+    const to = Math.min(toAge, Math.floor(from / 10) * 10 + 9);
+    bounds.push({ from, to });
+    from = to + 1;
+  }
+  if (bounds.length > 1 && bounds[0].to - bounds[0].from < 2) {
+    bounds[1].from = bounds[0].from;
+    bounds.shift();
+  }
+  const last = bounds.length - 1;
+  if (last > 0 && bounds[last].to - bounds[last].from < 2) {
+    bounds[last - 1].to = bounds[last].to;
+    bounds.pop();
+  }
+  return bounds.map((b, i) => ({
+    key: `d${b.from}`,
+    label: b.from === b.to ? `${b.from}` : `${b.from}–${b.to}`,
+    from: b.from,
+    to: b.to,
+    color: DECADE_COLORS[i % DECADE_COLORS.length],
+  }));
+}
+
+export function defaultSavingsSegs(profile, mode = DEFAULT_SAVINGS_MODE) {
+  const { defaultValue } = SAVINGS_MODES.find((m) => m.key === mode) || SAVINGS_MODES[0];
+  return [{ from: profile.currentAge, to: profile.retireAge, value: defaultValue }];
+}
+
+function defaultRaiseSegs(profile) {
+  return [{ from: profile.currentAge, to: profile.retireAge, value: DEFAULT_RAISE }];
+}
+
+function defaultInterestSegs(profile) {
+  return [{ from: profile.currentAge, to: profile.endAge, value: DEFAULT_INTEREST, vol: DEFAULT_VOLATILITY }];
+}
+
+function defaultInflationSegs(profile) {
+  return [{ from: profile.currentAge, to: profile.endAge, value: DEFAULT_INFLATION }];
+}
+
+export function defaultWithdrawalSegs(profile, strategy = DEFAULT_WITHDRAWAL_STRATEGY) {
+  const { defaultValue } = WITHDRAWAL_STRATEGIES.find((s) => s.key === strategy) || WITHDRAWAL_STRATEGIES[0];
+  return [{ from: profile.retireAge + 1, to: profile.endAge, value: defaultValue }];
+}
+
+/* ─── Segment helpers ─── */
+// A segment's value at an age: flat segments hold `value`, a ramp runs linearly from `value`
+// at `from` to `end` at `to`, and growth compounds `value` by `growth` % a year. Segments
+// without a type are flat.
+export function segmentValueAt(seg, age) {
+  if (seg.type === "ramp") {
+    const t = seg.to > seg.from ? (age - seg.from) / (seg.to - seg.from) : 0;
+    return Math.round((seg.value + (seg.end - seg.value) * t) * 100) / 100;
+  }
+  if (seg.type === "growth") return Math.round(seg.value * (1 + seg.growth / 100) ** (age - seg.from) * 100) / 100;
+  return seg.value ?? 0;
+}
+
+export function segmentsToPerYear(segments, fromAge, toAge, field = "value") {
+  const result = {};
+  for (let age = fromAge; age <= toAge; age++) {
+    const seg = segments.find((s) => age >= s.from && age <= s.to);
+    if (!seg) result[age] = 0;
+    else result[age] = field === "value" ? segmentValueAt(seg, age) : seg[field] ?? 0;
+  }
+  return result;
+}
+
+// A segment cut down to from..to, with its start (and ramp end) moved so the curve stays put
+function clipSegment(seg, from, to) {
+  const clipped = { ...seg, from, to };
+  if (seg.type === "ramp" || seg.type === "growth") clipped.value = segmentValueAt(seg, from);
+  if (seg.type === "ramp") clipped.end = segmentValueAt(seg, to);
+  return clipped;
+}
+
+export function perYearToSegments(perYear, fromAge, toAge) {
+  const segs = [];
+  let current = null;
+  for (let age = fromAge; age <= toAge; age++) {
+    const val = perYear[age] ?? 0;
+    if (!current || current.value !== val) {
+      if (current) segs.push(current);
+      current = { from: age, to: age, value: val };
+    } else {
+      current.to = age;
+    }
+  }
+  if (current) segs.push(current);
+  return segs;
+}
+
+export function splitSegment(segments, idx) {
+  const seg = segments[idx];
+  const span = seg.to - seg.from + 1;
+  if (span < 2) return segments;
+  const mid = seg.from + Math.floor(span / 2);
+  const left = clipSegment(seg, seg.from, mid - 1);
+  const right = clipSegment(seg, mid, seg.to);
+  return [...segments.slice(0, idx), left, right, ...segments.slice(idx + 1)];
+}
+
+export function moveDivider(segments, dividerIdx, newBoundary) {
+  const left = segments[dividerIdx];
+  const right = segments[dividerIdx + 1];
+  const minBound = left.from + 1;
+  const maxBound = right.to;
+  const clamped = Math.max(minBound, Math.min(maxBound, newBoundary));
+  const newLeft = { ...left, to: clamped - 1 };
+  const newRight = { ...right, from: clamped };
+  return [
+    ...segments.slice(0, dividerIdx),
+    newLeft,
+    newRight,
+    ...segments.slice(dividerIdx + 2),
+  ];
+}
+
+// Clips segments to a new age range, stretching the outer ones to cover it
+export function fitSegments(segments, fromAge, toAge) {
+  const inside = segments
+    .filter((s) => s.to >= fromAge && s.from <= toAge)
+    .map((s) => clipSegment(s, Math.max(s.from, fromAge), Math.min(s.to, toAge)));
+  if (inside.length === 0) {
+    const nearest = segments.length > 0 && segments[0].from > toAge ? segments[0] : segments[segments.length - 1];
+    return [{ from: fromAge, to: toAge, value: nearest ? nearest.value : 0 }];
+  }
+  inside[0].from = fromAge;
+  inside[inside.length - 1].to = toAge;
+  return inside;
+}
+
+// Carries per-segment extras (e.g. volatility) over from the segments a rebuilt track replaced.
+// The shape does not carry over: rebuilt segments are flat.
+export function withSegmentExtras(segments, previous) {
+  return segments.map((seg) => {
+    const { from, to, value, type, end, growth, ...extras } =
+      previous.find((p) => seg.from >= p.from && seg.from <= p.to) || {};
+    return { ...extras, ...seg };
+  });
+}
+
+// The track with ages from..to set to one flat value. Segments around the range keep their
+// shape, and flat neighbours with the same value and volatility join it.
+export function withFlatValue(segments, from, to, value) {
+  const { type, end, growth, ...covering } = segments.find((s) => from >= s.from && from <= s.to) || {};
+  const before = segments.filter((s) => s.from < from).map((s) => (s.to >= from ? clipSegment(s, s.from, from - 1) : s));
+  const after = segments.filter((s) => s.to > to).map((s) => (s.from <= to ? clipSegment(s, to + 1, s.to) : s));
+  const joined = [];
+  for (const seg of [...before, { ...covering, from, to, value }, ...after]) {
+    const prev = joined[joined.length - 1];
+    if (prev && !prev.type && !seg.type && prev.value === seg.value && prev.vol === seg.vol) {
+      joined[joined.length - 1] = { ...prev, to: seg.to };
+    } else {
+      joined.push(seg);
+    }
+  }
+  return joined;
+}
+
+export function removeDivider(segments, dividerIdx) {
+  const left = segments[dividerIdx];
+  const right = segments[dividerIdx + 1];
+  // A ramp keeps running to where the right segment ended
+  const merged = left.type === "ramp"
+    ? { ...left, to: right.to, end: segmentValueAt(right, right.to) }
+    : { ...left, to: right.to };
+  return [
+    ...segments.slice(0, dividerIdx),
+    merged,
+    ...segments.slice(dividerIdx + 2),
+  ];
+}
+
+/* ─── Plans ─── */
+export function normalizeFees(fees) {
+  const f = { ...DEFAULT_FEES, ...fees };
+  const num = (val) => (Number.isFinite(Number(val)) ? Math.max(0, Number(val)) : 0);
+  return { ter: num(f.ter), platformFee: num(f.platformFee), frontLoad: Math.min(100, num(f.frontLoad)) };
+}
+
+export function defaultAccount(profile, assetClass = "bonds") {
+  const cls = ASSET_CLASSES.find((c) => c.key === assetClass) || ASSET_CLASSES[0];
+  return {
+    id: createId(),
+    name: cls.label,
+    assetClass: cls.key,
+    fees: DEFAULT_FEES,
+    savingsSegs: [{ from: profile.currentAge, to: profile.retireAge, value: 0 }],
+    interestSegs: [{ from: profile.currentAge, to: profile.endAge, value: cls.rate, vol: cls.vol }],
+  };
+}
+
+export function normalizeGlidePath(glide, profile) {
+  const g = { ...DEFAULT_GLIDE_PATH, ...glide };
+  const fromAge = clampInt(g.fromAge, profile.currentAge, profile.endAge, DEFAULT_GLIDE_PATH.fromAge);
+  const share = (val, fallback) => Math.min(100, Math.max(0, Number.isFinite(Number(val)) ? Number(val) : fallback));
+  return {
+    enabled: !!g.enabled,
+    fromAge,
+    toAge: clampInt(g.toAge, fromAge, profile.endAge, Math.max(fromAge, DEFAULT_GLIDE_PATH.toAge)),
+    startEquity: share(g.startEquity, DEFAULT_GLIDE_PATH.startEquity),
+    endEquity: share(g.endEquity, DEFAULT_GLIDE_PATH.endEquity),
+  };
+}
+
+export function normalizeTax(tax) {
+  const t = { ...DEFAULT_TAX, ...tax };
+  const num = (val, fallback) => (Number.isFinite(Number(val)) && Number(val) >= 0 ? Number(val) : fallback);
+  return {
+    enabled: !!t.enabled,
+    allowance: num(t.allowance, DEFAULT_TAX.allowance),
+    basiszins: num(t.basiszins, DEFAULT_TAX.basiszins),
+    churchTax: CHURCH_TAX_OPTIONS.some((o) => o.key === t.churchTax) ? t.churchTax : DEFAULT_TAX.churchTax,
+    fundType: TEILFREISTELLUNG.some((o) => o.key === t.fundType) ? t.fundType : DEFAULT_TAX.fundType,
+  };
+}
+
+function normalizeCurrency(code) {
+  return CURRENCIES.some((c) => c.key === code) ? code : DEFAULT_CURRENCY;
+}
+
+export function normalizeCompounding(compounding) {
+  const c = { ...DEFAULT_COMPOUNDING, ...compounding };
+  return {
+    frequency: COMPOUNDING_FREQUENCIES.some((f) => f.key === c.frequency) ? c.frequency : DEFAULT_COMPOUNDING.frequency,
+    timing: CONTRIBUTION_TIMINGS.some((t) => t.key === c.timing) ? c.timing : DEFAULT_COMPOUNDING.timing,
+  };
+}
+
+// One-off deposits (positive) and withdrawals (negative), kept inside the projected ages
+export function normalizeEvents(events, profile) {
+  if (!Array.isArray(events)) return [];
+  return events
+    .filter((e) => e && typeof e === "object" && Number.isFinite(Number(e.amount)))
+    .map((e) => ({
+      id: typeof e.id === "string" && e.id ? e.id : createId(),
+      age: clampInt(e.age, profile.currentAge, profile.endAge - 1, profile.currentAge),
+      amount: Number(e.amount),
+      label: typeof e.label === "string" ? e.label : "",
+    }))
+    .sort((a, b) => a.age - b.age);
+}
+
+export function isoDate(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// The month the plan's currentAge refers to; actual balances are dated against it
+function normalizePlanStart(month) {
+  return typeof month === "string" && MONTH_PATTERN.test(month) ? month : isoDate(new Date()).slice(0, 7);
+}
+
+export function normalizeActuals(actuals) {
+  if (!Array.isArray(actuals)) return [];
+  return actuals
+    .filter((a) => a && typeof a === "object" && DATE_PATTERN.test(a.date) && Number(a.balance) >= 0)
+    .map((a) => ({
+      id: typeof a.id === "string" && a.id ? a.id : createId(),
+      date: a.date,
+      balance: Number(a.balance),
+    }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+export function normalizeGoals(goals, profile) {
+  if (!Array.isArray(goals)) return [];
+  return goals
+    .filter((g) => g && typeof g === "object" && Number(g.amount) > 0)
+    .map((g) => ({
+      id: typeof g.id === "string" && g.id ? g.id : createId(),
+      type: GOAL_TYPES.some((t) => t.key === g.type) ? g.type : "balance",
+      amount: Number(g.amount),
+      age: clampInt(g.age, profile.currentAge + 1, profile.endAge, profile.targetAge),
+    }));
+}
+
+// Fills in and clamps a partial profile, so defaultPlan({ currentAge: 30 }) is a valid plan
+export function defaultPlan(partialProfile = DEFAULT_PROFILE) {
+  const profile = normalizeProfile(partialProfile);
+  return {
+    profile,
+    savingsMode: DEFAULT_SAVINGS_MODE,
+    salary: DEFAULT_SALARY,
+    savingsSegs: defaultSavingsSegs(profile),
+    raiseSegs: defaultRaiseSegs(profile),
+    interestSegs: defaultInterestSegs(profile),
+    inflationSegs: defaultInflationSegs(profile),
+    withdrawalSegs: defaultWithdrawalSegs(profile),
+    withdrawalStrategy: DEFAULT_WITHDRAWAL_STRATEGY,
+    mainAccount: DEFAULT_MAIN_ACCOUNT,
+    accounts: [],
+    glidePath: normalizeGlidePath(DEFAULT_GLIDE_PATH, profile),
+    tax: DEFAULT_TAX,
+    compounding: DEFAULT_COMPOUNDING,
+    currency: DEFAULT_CURRENCY,
+    events: [],
+    goals: [],
+    planStart: normalizePlanStart(),
+    actuals: [],
+  };
+}
+
+// Shape fields as stored: none for flat segments, `end` for a ramp, `growth` for growth.
+// `repaired` flags an unknown type or a missing or out-of-range parameter.
+function segmentShape(seg, signed) {
+  const { type, value, end, growth, ...rest } = seg;
+  if (type === undefined || type === "flat") return { seg: rest, repaired: false };
+  if (type === "ramp" && Number.isFinite(Number(end))) {
+    const clamped = signed ? Number(end) : Math.max(0, Number(end));
+    return { seg: { ...rest, type, end: clamped }, repaired: clamped !== Number(end) };
+  }
+  if (type === "growth" && Number.isFinite(Number(growth))) {
+    const clamped = Math.max(-MAX_SEGMENT_GROWTH, Math.min(MAX_SEGMENT_GROWTH, Number(growth)));
+    return { seg: { ...rest, type, growth: clamped }, repaired: clamped !== Number(growth) };
+  }
+  return { seg: rest, repaired: true };
+}
+
+// Sorts segments, drops unusable ones, closes gaps and overlaps, clamps negative values
+// unless the track is `signed` and fits the result to fromAge..toAge. `repaired` flags any
+// fix beyond the fit.
+function repairSegments(segments, fromAge, toAge, fallback = 0, signed = false) {
+  let repaired = !Array.isArray(segments);
+  const clean = [];
+  for (const seg of Array.isArray(segments) ? segments : []) {
+    const from = Math.round(Number(seg?.from));
+    const to = Math.round(Number(seg?.to));
+    const value = Number(seg?.value);
+    if (!Number.isFinite(from) || !Number.isFinite(to) || !Number.isFinite(value) || from > to) {
+      repaired = true;
+      continue;
+    }
+    const clamped = signed ? value : Math.max(0, value);
+    if (from !== seg.from || to !== seg.to || clamped !== seg.value) repaired = true;
+    const shape = segmentShape(seg, signed);
+    if (shape.repaired) repaired = true;
+    clean.push({ ...shape.seg, from, to, value: clamped });
+  }
+  const sorted = [...clean].sort((a, b) => a.from - b.from);
+  if (sorted.some((seg, i) => seg !== clean[i])) repaired = true;
+
+  const joined = [];
+  for (const seg of sorted) {
+    const prev = joined[joined.length - 1];
+    if (prev && seg.from <= prev.to) {
+      repaired = true;
+      if (seg.to <= prev.to) continue;
+      seg.from = prev.to + 1;
+    } else if (prev && seg.from > prev.to + 1) {
+      repaired = true;
+      prev.to = seg.from - 1;
+    }
+    joined.push(seg);
+  }
+  if (joined.length === 0) {
+    return { segments: [{ from: fromAge, to: toAge, value: fallback }], repaired: true };
+  }
+  return { segments: fitSegments(joined, fromAge, toAge), repaired };
+}
+
+// Fills in missing tracks, repairs malformed ones and fits every track to the
+// plan's age ranges. Returns the plan plus a note for each track that needed fixing.
+export function validatePlan(raw) {
+  const profile = normalizeProfile(raw?.profile);
+  const { currentAge, retireAge, endAge } = profile;
+  const issues = [];
+  for (const [key, val] of Object.entries(profile)) {
+    const given = raw?.profile?.[key];
+    if (given !== undefined && Number(given) !== val) issues.push(`${key} was adjusted to ${val}`);
+  }
+  const savingsMode = SAVINGS_MODES.some((m) => m.key === raw?.savingsMode) ? raw.savingsMode : DEFAULT_SAVINGS_MODE;
+  if (raw?.savingsMode !== undefined && raw.savingsMode !== savingsMode) issues.push("unknown savings mode was reset");
+  const salary = Number(raw?.salary);
+  if (raw?.salary !== undefined && !(salary >= 0)) issues.push("invalid salary was reset");
+  const withdrawalStrategy = WITHDRAWAL_STRATEGIES.some((s) => s.key === raw?.withdrawalStrategy)
+    ? raw.withdrawalStrategy
+    : DEFAULT_WITHDRAWAL_STRATEGY;
+  if (raw?.withdrawalStrategy !== undefined && raw.withdrawalStrategy !== withdrawalStrategy) {
+    issues.push("unknown withdrawal strategy was reset");
+  }
+  // Missing tracks predate the feature and get defaults; present ones must be valid. Returns
+  // and inflation may go below zero, amounts may not.
+  const track = (label, segs, fallbackSegs, fromAge, toAge, signed = false) => {
+    if (segs === undefined) return fitSegments(fallbackSegs, fromAge, toAge);
+    const result = repairSegments(segs, fromAge, toAge, fallbackSegs[0].value, signed);
+    if (result.repaired) issues.push(`${label} segments were repaired`);
+    return result.segments;
+  };
+  const withVol = (segs, fallback) =>
+    segs.map(({ vol, ...seg }) => ({ ...seg, vol: Number.isFinite(vol) && vol >= 0 ? vol : fallback }));
+  const interestSegs = withVol(
+    track("interest", raw?.interestSegs, defaultInterestSegs(profile), currentAge, endAge, true),
+    DEFAULT_VOLATILITY,
+  );
+  const assetClassOf = (key) => (ASSET_CLASSES.some((c) => c.key === key) ? key : ASSET_CLASSES[0].key);
+  const mainAccount = {
+    name: typeof raw?.mainAccount?.name === "string" && raw.mainAccount.name.trim()
+      ? raw.mainAccount.name
+      : DEFAULT_MAIN_ACCOUNT.name,
+    assetClass: assetClassOf(raw?.mainAccount?.assetClass ?? DEFAULT_MAIN_ACCOUNT.assetClass),
+    fees: normalizeFees(raw?.mainAccount?.fees),
+  };
+  const seenIds = new Set([MAIN_ACCOUNT]);
+  const accounts = (Array.isArray(raw?.accounts) ? raw.accounts : [])
+    .filter((acct) => acct && typeof acct === "object")
+    .slice(0, MAX_ACCOUNTS - 1)
+    .map((acct) => {
+      const fallback = defaultAccount(profile, assetClassOf(acct.assetClass));
+      const id = typeof acct.id === "string" && !seenIds.has(acct.id) ? acct.id : fallback.id;
+      seenIds.add(id);
+      const name = typeof acct.name === "string" && acct.name.trim() ? acct.name : fallback.name;
+      const cls = ASSET_CLASSES.find((c) => c.key === fallback.assetClass);
+      return {
+        id,
+        name,
+        assetClass: fallback.assetClass,
+        fees: normalizeFees(acct.fees),
+        savingsSegs: track(`${name} savings`, acct.savingsSegs, fallback.savingsSegs, currentAge, retireAge),
+        interestSegs: withVol(
+          track(`${name} interest`, acct.interestSegs, fallback.interestSegs, currentAge, endAge, true),
+          cls.vol,
+        ),
+      };
+    });
+  return {
+    plan: {
+      profile,
+      savingsMode,
+      salary: salary >= 0 ? salary : DEFAULT_SALARY,
+      savingsSegs: track("savings", raw?.savingsSegs, defaultSavingsSegs(profile, savingsMode), currentAge, retireAge),
+      raiseSegs: track("raise", raw?.raiseSegs, defaultRaiseSegs(profile), currentAge, retireAge),
+      interestSegs,
+      inflationSegs: track("inflation", raw?.inflationSegs, defaultInflationSegs(profile), currentAge, endAge, true),
+      withdrawalSegs: track(
+        "withdrawal",
+        raw?.withdrawalSegs,
+        defaultWithdrawalSegs(profile, withdrawalStrategy),
+        retireAge + 1,
+        endAge,
+      ),
+      withdrawalStrategy,
+      mainAccount,
+      accounts,
+      glidePath: normalizeGlidePath(raw?.glidePath, profile),
+      tax: normalizeTax(raw?.tax),
+      compounding: normalizeCompounding(raw?.compounding),
+      currency: normalizeCurrency(raw?.currency),
+      events: normalizeEvents(raw?.events, profile),
+      goals: normalizeGoals(raw?.goals, profile),
+      planStart: normalizePlanStart(raw?.planStart),
+      actuals: normalizeActuals(raw?.actuals),
+    },
+    issues,
+  };
+}
+
+export function normalizePlan(raw) {
+  return validatePlan(raw).plan;
+}
+
+export function planHasFees(plan) {
+  return [plan.mainAccount, ...plan.accounts].some(({ fees }) => fees.ter > 0 || fees.platformFee > 0 || fees.frontLoad > 0);
+}
+
+// The same plan with every account's costs set to zero, as a baseline for fee drag
+export function withoutFees(plan) {
+  return {
+    ...plan,
+    mainAccount: { ...plan.mainAccount, fees: DEFAULT_FEES },
+    accounts: plan.accounts.map((acct) => ({ ...acct, fees: DEFAULT_FEES })),
+  };
+}
+
+export function createId() {
+  return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/* ─── Computation ─── */
+// In income mode the savings track is a % of a salary that grows by each year's raise;
+// resolved rows then carry the salary and share next to the euros they produce
+export function resolveFromSegments(plan, profile) {
+  const { savingsMode, salary, savingsSegs, raiseSegs, interestSegs, inflationSegs, withdrawalSegs, withdrawalStrategy } =
+    plan;
+  const { currentAge, retireAge, endAge } = profile;
+  const savingsPerYear = segmentsToPerYear(savingsSegs, currentAge, retireAge);
+  const raisePerYear = segmentsToPerYear(raiseSegs, currentAge, retireAge);
+  const interestPerYear = segmentsToPerYear(interestSegs, currentAge, endAge);
+  const volPerYear = segmentsToPerYear(interestSegs, currentAge, endAge, "vol");
+  const inflationPerYear = segmentsToPerYear(inflationSegs, currentAge, endAge);
+  const withdrawalPerYear = segmentsToPerYear(withdrawalSegs, retireAge + 1, endAge);
+  const resolved = [];
+  let income = salary;
+  for (let age = currentAge; age <= retireAge; age++) {
+    if (savingsMode === "income") {
+      const share = savingsPerYear[age] || 0;
+      resolved.push({ age, savings: (income * share) / 100 / 12, rate: interestPerYear[age] || 0, income, share });
+      income *= 1 + (raisePerYear[age] || 0) / 100;
+    } else {
+      resolved.push({ age, savings: savingsPerYear[age] || 0, rate: interestPerYear[age] || 0 });
+    }
+  }
+  // Extra accounts save fixed euros per month; pots are indexed main first, then plan.accounts
+  const accounts = plan.accounts.map((acct) => ({
+    id: acct.id,
+    savingsPerYear: segmentsToPerYear(acct.savingsSegs, currentAge, retireAge),
+    interestPerYear: segmentsToPerYear(acct.interestSegs, currentAge, endAge),
+    volPerYear: segmentsToPerYear(acct.interestSegs, currentAge, endAge, "vol"),
+  }));
+  const assetClasses = [plan.mainAccount.assetClass, ...plan.accounts.map((acct) => acct.assetClass)];
+  const potFees = [plan.mainAccount.fees, ...plan.accounts.map((acct) => acct.fees)];
+  // Net one-off amount per age; several events at one age are added up
+  const lumpSums = {};
+  for (const event of plan.events) lumpSums[event.age] = (lumpSums[event.age] || 0) + event.amount;
+  const potsOf = (cls) => assetClasses.flatMap((c, i) => (c === cls ? [i] : []));
+  const glide = plan.glidePath;
+  const glidePath = glide.enabled && potsOf("equities").length > 0 && potsOf("bonds").length > 0
+    ? { ...glide, equityPots: potsOf("equities"), bondPots: potsOf("bonds") }
+    : null;
+  const tax = plan.tax.enabled ? { ...plan.tax, rate: capitalTaxRate(plan.tax.churchTax) } : null;
+  return {
+    resolved,
+    interestPerYear,
+    volPerYear,
+    inflationPerYear,
+    withdrawalPerYear,
+    withdrawalStrategy,
+    accounts,
+    assetClasses,
+    potFees,
+    lumpSums,
+    glidePath,
+    tax,
+    compounding: {
+      perYear: COMPOUNDING_FREQUENCIES.find((f) => f.key === plan.compounding.frequency).perYear,
+      contributeFirst: plan.compounding.timing === "start",
+    },
+  };
+}
+
+// Combined rate on capital income. Church tax is deductible, which lowers the
+// Abgeltungsteuer to 1 / (4 + k) (§ 32d EStG); Soli and church tax sit on top of it.
+function capitalTaxRate(churchTax) {
+  const k = churchTax / 100;
+  const base = k > 0 ? 1 / (4 + k) : ABGELTUNG_RATE;
+  return base * (1 + SOLI_RATE + k);
+}
+
+// Funds pay Vorabpauschale and equity funds get Teilfreistellung; cash interest is
+// taxed as it accrues; pensions and property are taxed outside this model
+function potTaxTreatment(assetClass, tax) {
+  if (assetClass === "equities") {
+    return { kind: "fund", exempt: TEILFREISTELLUNG.find((o) => o.key === tax.fundType).exempt / 100 };
+  }
+  if (assetClass === "bonds") return { kind: "fund", exempt: 0 };
+  if (assetClass === "cash") return { kind: "interest", exempt: 0 };
+  return { kind: "none", exempt: 0 };
+}
+
+// Monthly amount the strategy takes out in a given retirement year
+function monthlyWithdrawal(strategy, value, balance, retirement, priceIndex) {
+  if (strategy === "percent") return (balance * value) / 100 / 12;
+  if (strategy === "rule4") return (((retirement.balance * value) / 100) * (priceIndex / retirement.priceIndex)) / 12;
+  return value;
+}
+
+export function accountKey(id) {
+  return `acct_${id}`;
+}
+
+// Equity share of the equities + bonds money at a given age, as a fraction
+function glideEquityShare(glide, age) {
+  const { fromAge, toAge, startEquity, endEquity } = glide;
+  if (age <= fromAge) return startEquity / 100;
+  if (age >= toAge) return endEquity / 100;
+  return (startEquity + ((endEquity - startEquity) * (age - fromAge)) / (toAge - fromAge)) / 100;
+}
+
+function potTotal(pot) {
+  return pot.reduce((a, b) => a + b, 0);
+}
+
+// Moves money between the equity and bond pots so equities hold `share` of both.
+// The amount moved keeps the start/decade mix of the side it leaves. `trades`
+// hears about each sale (as a fraction, before it happens) and each purchase.
+function rebalancePots(pots, equityPots, bondPots, share, trades) {
+  const sumOf = (idx) => idx.reduce((a, i) => a + potTotal(pots[i]), 0);
+  const equities = sumOf(equityPots);
+  const target = (equities + sumOf(bondPots)) * share;
+  const [fromPots, toPots, amount] = target < equities
+    ? [equityPots, bondPots, equities - target]
+    : [bondPots, equityPots, target - equities];
+  const fromTotal = sumOf(fromPots);
+  if (amount <= 0 || fromTotal <= 0) return;
+  const keep = 1 - amount / fromTotal;
+  const moved = pots[0].map(() => 0);
+  for (const i of fromPots) {
+    trades?.sell(i, 1 - keep);
+    for (let b = 0; b < moved.length; b++) {
+      moved[b] += pots[i][b] * (1 - keep);
+      pots[i][b] *= keep;
+    }
+  }
+  const toTotal = sumOf(toPots);
+  for (const i of toPots) {
+    const weight = toTotal > 0 ? potTotal(pots[i]) / toTotal : i === toPots[0] ? 1 : 0;
+    trades?.buy(i, amount * weight);
+    for (let b = 0; b < moved.length; b++) pots[i][b] += moved[b] * weight;
+  }
+}
+
+// Stochastic runs pass `shock`, a standard normal draw per year; each account's
+// rate then moves by its own volatility times that shared draw. `restart` runs the plan on
+// from a later age instead: { age, balances (one per pot), contributed, principal, earned,
+// growth, priceIndex, retirement } as of the start of that age.
+export function computeProjection(resolution, profile, decades, shock, restart = null) {
+  const {
+    resolved,
+    interestPerYear,
+    volPerYear,
+    inflationPerYear,
+    withdrawalPerYear,
+    withdrawalStrategy,
+    accounts,
+    assetClasses,
+    potFees,
+    lumpSums,
+    glidePath,
+    tax,
+    compounding,
+  } = resolution;
+  const { currentAge, retireAge, endAge, startBalance } = profile;
+  const data = [];
+  const monthlyParams = [];
+  for (const r of resolved) {
+    const monthlyRate = r.rate / 100 / 12;
+    for (let m = 0; m < 12; m++) {
+      monthlyParams.push({ savings: r.savings, monthlyRate, age: r.age });
+    }
+  }
+
+  let priceIndex = restart ? restart.priceIndex : 1;
+  let retirement = restart ? restart.retirement : null;
+  let contributed = restart ? restart.contributed : startBalance;
+  let earned = restart ? restart.earned : 0;
+  // What the balance is made of; withdrawals draw both down pro rata
+  let principal = restart ? restart.principal : startBalance;
+  let growth = restart ? restart.growth : 0;
+  // One pot per account, main first: [start balance, ...decade buckets]. A restart puts each
+  // account's balance in its start bucket.
+  const pots = [
+    [restart ? restart.balances[0] : startBalance, ...decades.map(() => 0)],
+    ...accounts.map((acct, a) => [restart ? restart.balances[a + 1] : 0, ...decades.map(() => 0)]),
+  ];
+  const balanceOf = () => pots.reduce((a, pot) => a + potTotal(pot), 0);
+
+  // Tax state per pot: cost basis (the start balance counts as bought at its value)
+  // and Vorabpauschale already taxed, which later sales no longer pay tax on
+  const treatments = tax ? assetClasses.map((cls) => potTaxTreatment(cls, tax)) : null;
+  const basis = pots.map((pot) => potTotal(pot));
+  const taxedVap = pots.map(() => 0);
+  let lossCarry = 0;
+  let realized = 0; // taxable gains realized this year, after Teilfreistellung
+  const trades = {
+    sell(p, fraction) {
+      if (treatments?.[p].kind === "fund") {
+        realized += (potTotal(pots[p]) - basis[p] - taxedVap[p]) * fraction * (1 - treatments[p].exempt);
+      }
+      basis[p] *= 1 - fraction;
+      taxedVap[p] *= 1 - fraction;
+    },
+    buy(p, amount) {
+      basis[p] += amount;
+    },
+  };
+  // Taxable gain if every fund were sold now, net of carried losses
+  const unrealizedTaxable = () => pots.reduce((sum, pot, p) => (treatments[p].kind === "fund"
+    ? sum + (potTotal(pot) - basis[p] - taxedVap[p]) * (1 - treatments[p].exempt)
+    : sum), -lossCarry);
+
+  function getDecadeIndex(age) {
+    const idx = decades.findIndex((d) => age <= d.to);
+    return idx === -1 ? decades.length - 1 : idx;
+  }
+
+  // Daily compounding is folded into an effective monthly rate. Less often than monthly,
+  // interest accrues simply on each month's balance and is credited at the period's end.
+  const { perYear, contributeFirst } = compounding;
+  const creditEvery = perYear >= 12 ? 1 : 12 / perYear;
+  const monthlyGrowth = (rate) => (perYear > 12 ? (1 + (rate * 12) / perYear) ** (perYear / 12) - 1 : rate);
+  const accrued = pots.map(() => 0);
+
+  // Costs come out of growth: the full contribution still counts as paid in
+  let feesPaid = 0;
+  let vapBase = [];
+  const contribute = (p, bucket, savings, month) => {
+    const load = (savings * potFees[p].frontLoad) / 100;
+    pots[p][bucket] += savings - load;
+    basis[p] += savings;
+    vapBase[p] += ((savings - load) * (12 - month)) / 12;
+    contributed += savings;
+    principal += savings;
+    growth -= load;
+    feesPaid += load;
+  };
+
+  // Withdrawals draw every account and bucket down pro rata; returns what was available
+  const drawDown = (amount) => {
+    const balance = balanceOf();
+    const taken = Math.min(balance, amount);
+    const keep = balance > 0 ? (balance - taken) / balance : 0;
+    pots.forEach((pot, p) => {
+      trades.sell(p, 1 - keep);
+      for (let b = 0; b < pot.length; b++) {
+        pot[b] *= keep;
+      }
+    });
+    principal *= keep;
+    growth *= keep;
+    return taken;
+  };
+
+  for (let year = restart ? restart.age - currentAge : 0; year < endAge - currentAge; year++) {
+    const age = currentAge + year;
+    realized = 0;
+    feesPaid = 0;
+    if (glidePath) {
+      rebalancePots(pots, glidePath.equityPots, glidePath.bondPots, glideEquityShare(glidePath, age), trades);
+    }
+    // One-off events land on the first day of the age: deposits go to the main account
+    let lumpSum = 0;
+    let shortfall = 0;
+    const event = lumpSums[age] || 0;
+    if (event > 0) {
+      contribute(0, getDecadeIndex(age) + 1, event, 0);
+      lumpSum = event;
+    } else if (event < 0) {
+      const taken = drawDown(-event);
+      lumpSum = -taken;
+      shortfall += -event - taken;
+    }
+    // Vorabpauschale base: the value on 1 January plus new money pro rata by month held
+    vapBase = pots.map((pot) => potTotal(pot));
+    const yearGain = pots.map(() => 0);
+    let withdrawal = 0;
+    if (age > retireAge) {
+      const balance = balanceOf();
+      if (!retirement) retirement = { balance, priceIndex };
+      withdrawal = monthlyWithdrawal(withdrawalStrategy, withdrawalPerYear[age] || 0, balance, retirement, priceIndex);
+    }
+    let withdrawn = 0;
+    const z = shock ? shock(age) : null;
+    const baseRate = interestPerYear[age] ?? 0;
+    const drawn = z !== null ? baseRate + (volPerYear[age] ?? DEFAULT_VOLATILITY) * z : null;
+    const accountRates = accounts.map((acct) => {
+      const rate = acct.interestPerYear[age] || 0;
+      return (z !== null ? rate + (acct.volPerYear[age] ?? 0) * z : rate) / 100 / 12;
+    });
+    const di = getDecadeIndex(age);
+    for (let m = 0; m < 12; m++) {
+      const globalMonth = year * 12 + m;
+      let monthlyRate;
+      if (drawn !== null) {
+        monthlyRate = drawn / 100 / 12;
+      } else if (globalMonth < monthlyParams.length) {
+        monthlyRate = monthlyParams[globalMonth].monthlyRate;
+      } else {
+        monthlyRate = (interestPerYear[age] ?? 0) / 100 / 12;
+      }
+      const addSavings = () => {
+        if (globalMonth < monthlyParams.length) {
+          contribute(0, getDecadeIndex(monthlyParams[globalMonth].age) + 1, monthlyParams[globalMonth].savings, m);
+        }
+        if (age <= retireAge) {
+          accounts.forEach((acct, a) => contribute(a + 1, di + 1, acct.savingsPerYear[age] || 0, m));
+        }
+      };
+      if (contributeFirst) addSavings();
+      pots.forEach((pot, p) => {
+        accrued[p] += potTotal(pot) * monthlyGrowth(p === 0 ? monthlyRate : accountRates[p - 1]);
+        if ((m + 1) % creditEvery === 0) {
+          // A pot emptied during the period has nothing left to credit its interest to
+          const before = potTotal(pot);
+          const gain = before > 0 ? accrued[p] : 0;
+          accrued[p] = 0;
+          earned += gain;
+          growth += gain;
+          yearGain[p] += gain;
+          for (let b = 0; b < pot.length && gain !== 0; b++) {
+            pot[b] *= 1 + gain / before;
+          }
+        }
+        // TER is charged inside the fund, the platform fee on top of it
+        const { ter, platformFee } = potFees[p];
+        const value = potTotal(pot);
+        if (value <= 0 || (ter === 0 && platformFee === 0)) return;
+        const running = (value * ter) / 100 / 12;
+        const cost = Math.min(value, running + platformFee);
+        yearGain[p] -= Math.min(value, running);
+        for (let b = 0; b < pot.length; b++) {
+          pot[b] *= (value - cost) / value;
+        }
+        growth -= cost;
+        feesPaid += cost;
+      });
+      if (!contributeFirst) addSavings();
+      if (withdrawal > 0) {
+        const taken = drawDown(withdrawal);
+        withdrawn += taken;
+        shortfall += withdrawal - taken;
+      }
+    }
+
+    // Year-end tax on realized gains, Vorabpauschale and cash interest, after
+    // carried losses and the Sparerpauschbetrag. It is paid out of the portfolio;
+    // the sale that funds it is not taxed again.
+    let taxPaid = 0;
+    if (tax) {
+      let taxable = realized;
+      pots.forEach((pot, p) => {
+        const { kind, exempt } = treatments[p];
+        if (kind === "fund") {
+          const vap = Math.max(0, Math.min((vapBase[p] * tax.basiszins * VAP_FACTOR) / 100, yearGain[p]));
+          taxedVap[p] += vap;
+          taxable += vap * (1 - exempt);
+        } else if (kind === "interest") {
+          taxable += yearGain[p];
+          basis[p] += yearGain[p];
+        }
+      });
+      const net = taxable - lossCarry;
+      lossCarry = Math.max(0, -net);
+      const balance = balanceOf();
+      taxPaid = Math.min(balance, Math.max(0, net - tax.allowance) * tax.rate);
+      if (taxPaid > 0) {
+        const keep = (balance - taxPaid) / balance;
+        pots.forEach((pot, p) => {
+          for (let b = 0; b < pot.length; b++) pot[b] *= keep;
+          basis[p] *= keep;
+          taxedVap[p] *= keep;
+        });
+        growth -= taxPaid;
+      }
+    }
+    priceIndex *= 1 + (inflationPerYear[age] || 0) / 100;
+    const row = {
+      age: age + 1,
+      priceIndex,
+      withdrawal: Math.round(withdrawn),
+      shortfall: Math.round(shortfall),
+      start: Math.round(pots.reduce((a, pot) => a + pot[0], 0)),
+    };
+    decades.forEach((d, i) => {
+      row[d.key] = Math.round(pots.reduce((a, pot) => a + pot[i + 1], 0));
+    });
+    row.total = Math.round(balanceOf());
+    row.contributions = Math.round(contributed);
+    row.interest = Math.round(earned);
+    row.principal = Math.round(principal);
+    row.growth = Math.round(growth);
+    row.taxPaid = Math.round(taxPaid);
+    row.feesPaid = Math.round(feesPaid);
+    row.lumpSum = Math.round(lumpSum);
+    row.afterTax = tax
+      ? Math.round(balanceOf() - Math.max(0, unrealizedTaxable() - tax.allowance) * tax.rate)
+      : row.total;
+    row[accountKey(MAIN_ACCOUNT)] = Math.round(potTotal(pots[0]));
+    accounts.forEach((acct, a) => {
+      row[accountKey(acct.id)] = Math.round(potTotal(pots[a + 1]));
+    });
+    data.push(row);
+  }
+  return data;
+}
+
+export function projectPlan(plan) {
+  const decades = buildDecades(plan.profile.currentAge, plan.profile.retireAge);
+  const resolution = resolveFromSegments(plan, plan.profile);
+  return { decades, resolution, data: computeProjection(resolution, plan.profile, decades) };
+}
+
+// First age at which two { age: total } series differ by a euro or more
+export function divergenceAge(a, b) {
+  const shared = Object.keys(a).map(Number).filter((age) => age in b).sort((x, y) => x - y);
+  return shared.find((age) => Math.abs(a[age] - b[age]) >= 1) ?? null;
+}
+
+// Age during which withdrawals first could not be met in full, or null if the money lasts
+export function depletionAge(data) {
+  const row = data.find((r) => r.shortfall > 0);
+  return row ? row.age - 1 : null;
+}
+
+// Restates a projection row in today's euros using its cumulative price index
+export function deflateRow(row) {
+  const real = { age: row.age, priceIndex: row.priceIndex };
+  for (const [key, val] of Object.entries(row)) {
+    if (!(key in real)) real[key] = Math.round(val / row.priceIndex);
+  }
+  return real;
+}
+
+/* ─── Simulation ─── */
+// Small seeded PRNG so a given seed always reproduces the same paths
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function gaussian(rand) {
+  const u = 1 - rand();
+  const v = rand();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+function percentile(sorted, q) {
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+export function normalizeSimulation(sim) {
+  const s = { ...DEFAULT_SIMULATION, ...sim };
+  return {
+    enabled: !!s.enabled,
+    paths: clampInt(s.paths, 100, 10000, DEFAULT_SIMULATION.paths),
+    seed: clampInt(s.seed, 0, 2 ** 31 - 1, DEFAULT_SIMULATION.seed),
+    target: Math.max(0, Number(s.target) || 0),
+  };
+}
+
+// Runs computeProjection once per path with yearly returns drawn from N(mean, vol),
+// yielding the share of paths done after each one
+export function* simulateSteps(resolution, profile, decades, { paths, seed }) {
+  const rand = mulberry32(seed);
+  const shock = () => gaussian(rand);
+  const totals = [];
+  for (let p = 0; p < paths; p++) {
+    computeProjection(resolution, profile, decades, shock).forEach((row, i) => {
+      if (!totals[i]) totals[i] = new Float64Array(paths);
+      totals[i][p] = row.total;
+    });
+    yield (p + 1) / paths;
+  }
+  const bands = totals.map((yearTotals) => {
+    const sorted = yearTotals.sort();
+    return {
+      p10: Math.round(percentile(sorted, 0.1)),
+      p50: Math.round(percentile(sorted, 0.5)),
+      p90: Math.round(percentile(sorted, 0.9)),
+    };
+  });
+  return { bands, totals };
+}
+
+export function simulateProjection(resolution, profile, decades, settings) {
+  return runSteps(simulateSteps(resolution, profile, decades, settings));
+}
+
+// Share of simulated paths at or above the target in a given year's (sorted) totals
+export function probabilityOfTarget(totals, target) {
+  if (!totals || totals.length === 0) return 0;
+  let hits = 0;
+  for (const v of totals) if (v >= target) hits++;
+  return hits / totals.length;
+}
+
+/* ─── Goals ─── */
+const SOLVER_MAX_SAVINGS = 1000000;
+export const SOLVER_MAX_RATE = 30;
+
+// Balance a goal asks for at its age; income goals need enough capital for the yearly draw
+export function goalTarget(goal) {
+  return goal.type === "income" ? (goal.amount * 12 * 100) / GOAL_WITHDRAWAL_RATE : goal.amount;
+}
+
+// Projected balance on reaching an age, nominal or in today's euros
+function balanceAt(plan, age, real) {
+  const row = projectPlan(plan).data.find((r) => r.age === age);
+  if (!row) return 0;
+  return real ? row.total / row.priceIndex : row.total;
+}
+
+// Rewrites a track so every year from fromAge up to (not including) untilAge holds value;
+// later years keep what they had
+function withConstantUntil(segments, fromAge, toAge, untilAge, value) {
+  if (untilAge <= fromAge) return segments;
+  return withFlatValue(segments, fromAge, Math.min(untilAge - 1, toAge), value);
+}
+
+export function withGoalSavings(plan, goal, value) {
+  const { currentAge, retireAge } = plan.profile;
+  return { ...plan, savingsSegs: withConstantUntil(plan.savingsSegs, currentAge, retireAge, goal.age, value) };
+}
+
+export function withGoalRate(plan, goal, value) {
+  const { currentAge, endAge } = plan.profile;
+  return { ...plan, interestSegs: withConstantUntil(plan.interestSegs, currentAge, endAge, goal.age, value) };
+}
+
+// Smallest multiple of step in 0..hi that meets the goal, by bisection
+// since the balance rises with the value. Null when even hi falls short.
+function solveGoal(plan, goal, real, rebuild, hi, step) {
+  const target = goalTarget(goal);
+  const meets = (v) => balanceAt(rebuild(plan, goal, v), goal.age, real) >= target;
+  let lo = 0;
+  if (meets(lo)) return lo;
+  if (!meets(hi)) return null;
+  while (hi - lo > step) {
+    const mid = (lo + hi) / 2;
+    if (meets(mid)) hi = mid;
+    else lo = mid;
+  }
+  // The answer is the first step multiple above lo, or the one after it
+  const first = Math.round(Math.ceil(lo / step + 1e-9) * step * 10) / 10;
+  return meets(first) ? first : Math.round((first + step) * 10) / 10;
+}
+
+// The constant saving (EUR / month, or % of salary in income mode) and the constant return on
+// the main account that would each reach the goal, holding the rest of the plan fixed
+export function solveGoalRequirements(plan, goal, real) {
+  const incomeMode = plan.savingsMode === "income";
+  return {
+    projected: balanceAt(plan, goal.age, real),
+    target: goalTarget(goal),
+    savings: solveGoal(plan, goal, real, withGoalSavings, incomeMode ? 100 : SOLVER_MAX_SAVINGS, incomeMode ? 0.1 : 1),
+    rate: solveGoal(plan, goal, real, withGoalRate, SOLVER_MAX_RATE, 0.1),
+  };
+}
+
+/* ─── Actuals ─── */
+// Fractional age on a date, counting months from the start of the plan's first month
+export function ageOnDate(date, planStart, currentAge) {
+  const [y, m, d] = date.split("-").map(Number);
+  const [startY, startM] = planStart.split("-").map(Number);
+  const daysInMonth = new Date(y, m, 0).getDate();
+  return currentAge + ((y - startY) * 12 + (m - startM) + (d - 1) / daysInMonth) / 12;
+}
+
+// Planned total and price index at a fractional age, interpolated between whole-year rows
+export function projectedAtAge(data, profile, age) {
+  const rows = [{ age: profile.currentAge, total: profile.startBalance, priceIndex: 1 }, ...data];
+  const i = Math.max(0, rows.findIndex((r) => r.age > age) - 1);
+  const [a, b] = [rows[i], rows[i + 1] ?? rows[i]];
+  const t = b.age > a.age ? (age - a.age) / (b.age - a.age) : 0;
+  return {
+    total: a.total + (b.total - a.total) * t,
+    priceIndex: a.priceIndex + (b.priceIndex - a.priceIndex) * t,
+  };
+}
+
+// The plan run on from an actual balance at the nearest whole age, carrying the actual's gap to
+// the plan over to that age. Every account restarts from its planned balance, scaled so the
+// total carries the gap, which counts as growth rather than money paid in. Retirement and the
+// withdrawal baseline stay where the plan put them. Null past the plan's last age.
+function reprojectFromActual(plan, data, actual) {
+  const { currentAge, retireAge, endAge, startBalance } = plan.profile;
+  const fromAge = Math.round(actual.age);
+  if (fromAge >= endAge) return null;
+  const rowAt = (age) => data.find((r) => r.age === age);
+  const row = fromAge > currentAge
+    ? rowAt(fromAge)
+    : { contributions: startBalance, principal: startBalance, interest: 0, growth: 0, priceIndex: 1 };
+  const planned = fromAge > currentAge
+    ? [row[accountKey(MAIN_ACCOUNT)], ...plan.accounts.map((acct) => row[accountKey(acct.id)])]
+    : [startBalance, ...plan.accounts.map(() => 0)];
+  const plannedTotal = planned.reduce((a, b) => a + b, 0);
+  const total = Math.max(0, plannedTotal + actual.balance - actual.planned.total);
+  // With nothing planned there is no split to follow, so the main account takes it all
+  const balances = plannedTotal > 0
+    ? planned.map((balance) => (balance * total) / plannedTotal)
+    : [total, ...plan.accounts.map(() => 0)];
+  // Rows hold year-end balances, so the one labelled retireAge + 1 is the balance retirement started from
+  const retired = fromAge > retireAge ? rowAt(retireAge + 1) : null;
+  const gap = total - plannedTotal;
+  const decades = buildDecades(currentAge, retireAge);
+  return {
+    fromAge,
+    startBalance: total,
+    data: computeProjection(resolveFromSegments(plan, plan.profile), plan.profile, decades, null, {
+      age: fromAge,
+      balances,
+      contributed: row.contributions,
+      principal: row.principal,
+      earned: row.interest + gap,
+      growth: row.growth + gap,
+      priceIndex: row.priceIndex,
+      retirement: retired && { balance: retired.total, priceIndex: retired.priceIndex },
+    }),
+  };
+}
+
+// Actual balances placed on the plan's timeline, the gap between the latest one and the plan,
+// and the projection re-run from it. Null when no actual falls within the plan's ages.
+export function actualsReport(plan, data) {
+  const { currentAge, endAge } = plan.profile;
+  const entries = plan.actuals
+    .map((a) => {
+      const age = ageOnDate(a.date, plan.planStart, currentAge);
+      return { ...a, age, planned: age >= currentAge && age <= endAge ? projectedAtAge(data, plan.profile, age) : null };
+    });
+  const onPlan = entries.filter((a) => a.planned);
+  if (onPlan.length === 0) return { entries, latest: null, reprojected: null };
+  const latest = onPlan[onPlan.length - 1];
+  return {
+    entries,
+    latest,
+    gap: latest.balance - latest.planned.total,
+    reprojected: reprojectFromActual(plan, data, latest),
+  };
+}
+
+/* ─── Sensitivity ─── */
+export function normalizeSensitivity(settings) {
+  const s = { ...DEFAULT_SENSITIVITY, ...settings };
+  return {
+    valueStep: Math.max(1, Math.min(100, Number(s.valueStep) || DEFAULT_SENSITIVITY.valueStep)),
+    ageStep: clampInt(s.ageStep, 1, 10, DEFAULT_SENSITIVITY.ageStep),
+  };
+}
+
+function averageOver(segments, fromAge, toAge) {
+  const values = Object.values(segmentsToPerYear(segments, fromAge, toAge));
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+// Every input the tornado varies, each with the plan nudged down and up by the chosen step:
+// each savings and interest segment of every account (relative), and the start and stop ages.
+// `unit` says how the two tried values read: "money", "percent" or "age".
+function sensitivityInputs(plan, { valueStep, ageStep }) {
+  const { currentAge, retireAge, targetAge } = plan.profile;
+  const inputs = [];
+  const factors = [1 - valueStep / 100, 1 + valueStep / 100];
+  const savingsUnit = plan.savingsMode === "income" ? "percent" : "money";
+  const owners = [{ ...plan.mainAccount, id: MAIN_ACCOUNT, savingsSegs: plan.savingsSegs, interestSegs: plan.interestSegs }, ...plan.accounts];
+  const withTrack = (id, key, segs) => (id === MAIN_ACCOUNT
+    ? { ...plan, [key]: segs }
+    : { ...plan, accounts: plan.accounts.map((acct) => (acct.id === id ? { ...acct, [key]: segs } : acct)) });
+  for (const owner of owners) {
+    const suffix = plan.accounts.length > 0 ? ` · ${owner.name}` : "";
+    for (const [key, label, unit] of [["savingsSegs", "Savings", savingsUnit], ["interestSegs", "Return", "percent"]]) {
+      owner[key].forEach((seg, i) => {
+        const values = factors.map((f) => Math.round(seg.value * f * 100) / 100);
+        inputs.push({
+          key: `${owner.id}-${key}-${i}`,
+          label: `${label} ${seg.from}–${seg.to}${suffix}`,
+          values,
+          unit,
+          // A ramp's end moves with its start, so the whole segment scales
+          plans: factors.map((f, k) => withTrack(owner.id, key, owner[key].map((s, j) => (j === i
+            ? { ...s, value: values[k], ...(s.type === "ramp" && { end: Math.round(s.end * f * 100) / 100 }) }
+            : s)))),
+        });
+      });
+    }
+  }
+  const withAges = (patch) => normalizePlan({ ...plan, profile: { ...plan.profile, ...patch } });
+  const starts = [Math.max(0, currentAge - ageStep), Math.min(retireAge, currentAge + ageStep)];
+  inputs.push({
+    key: "start",
+    label: "Start saving",
+    values: starts,
+    unit: "age",
+    plans: starts.map((age) => withAges({ currentAge: age })),
+  });
+  const stops = [Math.max(currentAge, retireAge - ageStep), Math.min(targetAge - 1, retireAge + ageStep)];
+  inputs.push({
+    key: "stop",
+    label: "Stop saving",
+    values: stops,
+    unit: "age",
+    plans: stops.map((age) => withAges({ retireAge: age })),
+  });
+  return inputs;
+}
+
+// Change in the total at the target age when each input moves down and up, biggest swing first.
+// Inputs that do not move the total (e.g. segments after the target age) are left out.
+export function* sensitivityTornadoSteps(plan, settings, real) {
+  const base = balanceAt(plan, plan.profile.targetAge, real);
+  const inputs = sensitivityInputs(plan, settings);
+  const rows = [];
+  for (const { key, label, values, unit, plans } of inputs) {
+    const [low, high] = plans.map((p) => Math.round(balanceAt(p, plan.profile.targetAge, real) - base));
+    rows.push({ key, label, values, unit, low, high, swing: Math.max(Math.abs(low), Math.abs(high)) });
+    yield rows.length / inputs.length;
+  }
+  return { base, rows: rows.filter((row) => row.swing > 0).sort((a, b) => b.swing - a.swing) };
+}
+
+export function sensitivityTornado(plan, settings, real) {
+  return runSteps(sensitivityTornadoSteps(plan, settings, real));
+}
+
+// Total at the target age for constant main-account savings (rows) and returns (columns),
+// stepped around the plan's average savings until retirement and return until the target age
+export function* sensitivityHeatmapSteps(plan, { valueStep }, real) {
+  const { currentAge, retireAge, targetAge, endAge } = plan.profile;
+  const around = (avg) => HEATMAP_STEPS.map((k) => Math.max(0, Math.round(avg * (1 + (k * valueStep) / 100) * 100) / 100));
+  const savings = around(averageOver(plan.savingsSegs, currentAge, retireAge));
+  const rates = around(averageOver(plan.interestSegs, currentAge, targetAge - 1));
+  const cells = [];
+  for (const saving of savings) {
+    const withSavings = { ...plan, savingsSegs: withConstantUntil(plan.savingsSegs, currentAge, retireAge, retireAge + 1, saving) };
+    cells.push(rates.map((rate) => balanceAt(
+      { ...withSavings, interestSegs: withConstantUntil(plan.interestSegs, currentAge, endAge, endAge + 1, rate) },
+      targetAge,
+      real,
+    )));
+    yield cells.length / savings.length;
+  }
+  return { savings, rates, cells };
+}
+
+export function sensitivityHeatmap(plan, settings, real) {
+  return runSteps(sensitivityHeatmapSteps(plan, settings, real));
+}
+
+/* ─── Background tasks ─── */
+// Long runs are written as generators that yield their progress from 0 to 1, so a worker
+// can run them in slices and drop them between two; runSteps drives one in a single go.
+export function runSteps(steps) {
+  for (;;) {
+    const { done, value } = steps.next();
+    if (done) return value;
+  }
+}
+
+// Maps a task's 0..1 progress onto from..to of a larger task
+function* progressBetween(steps, from, to) {
+  for (;;) {
+    const { done, value } = steps.next();
+    if (done) return value;
+    yield from + (to - from) * value;
+  }
+}
+
+function* goalSolutionSteps(plan, real) {
+  const solutions = {};
+  for (const goal of plan.goals) {
+    solutions[goal.id] = solveGoalRequirements(plan, goal, real);
+    yield Object.keys(solutions).length / plan.goals.length;
+  }
+  return solutions;
+}
+
+// Tasks the app hands to its worker, by name. Each takes one plain, cloneable argument.
+export const ENGINE_TASKS = {
+  // projectPlan for each plan, in order
+  *project({ plans }) {
+    const projections = [];
+    for (const plan of plans) {
+      projections.push(projectPlan(plan));
+      yield projections.length / plans.length;
+    }
+    return projections;
+  },
+  // A plan as the main view shows it: its projection, the zero-fee twin when it pays fees and
+  // the actuals report with its re-projection
+  *overview({ plan }) {
+    const projection = projectPlan(plan);
+    const zeroFee = planHasFees(plan) ? projectPlan(withoutFees(plan)) : null;
+    yield 0.5;
+    return { projection, zeroFee, actuals: actualsReport(plan, projection.data) };
+  },
+  // Percentile bands and per-year totals of a Monte Carlo run; `fromAge` is the first row's age
+  *simulate({ plan, paths, seed }) {
+    const { decades, resolution, data } = projectPlan(plan);
+    const result = yield* simulateSteps(resolution, plan.profile, decades, { paths, seed });
+    return { ...result, fromAge: data[0]?.age ?? null };
+  },
+  // Required savings and return per goal id
+  goals: ({ plan, real }) => goalSolutionSteps(plan, real),
+  *sensitivity({ plan, settings, real }) {
+    const tornado = yield* progressBetween(sensitivityTornadoSteps(plan, settings, real), 0, 0.5);
+    const heatmap = yield* progressBetween(sensitivityHeatmapSteps(plan, settings, real), 0.5, 1);
+    return { tornado, heatmap };
+  },
+};
+
+/* ─── Import / export ─── */
+export const PLAN_FILE_FORMAT = "net-worth-projection-plan";
+export const PLAN_FILE_VERSION = 1;
+
+// The view settings travel with the plan: today's money, Monte Carlo, sensitivity steps and
+// the display (number locale and optional currency conversion)
+export function serializePlanFile(scenario, { realMode, simulation, sensitivity, display }) {
+  return {
+    format: PLAN_FILE_FORMAT,
+    version: PLAN_FILE_VERSION,
+    exportedAt: new Date().toISOString(),
+    name: scenario.name,
+    plan: scenario.plan,
+    settings: { realMode, simulation, sensitivity, display },
+  };
+}
+
+// Throws with a user-facing message when the file is not a plan this app can read
+export function parsePlanFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error("the file is not valid JSON");
+  }
+  if (data?.format !== PLAN_FILE_FORMAT) throw new Error("the file is not a net worth plan");
+  if (!Number.isInteger(data.version) || data.version > PLAN_FILE_VERSION) {
+    throw new Error(`unsupported plan file version ${data.version}`);
+  }
+  if (!data.plan || typeof data.plan !== "object") throw new Error("the file contains no plan");
+  return {
+    name: typeof data.name === "string" && data.name.trim() ? data.name.trim() : "Imported plan",
+    plan: normalizePlan(data.plan),
+    settings: data.settings ?? {},
+  };
+}
+
+function csvCell(val) {
+  const str = String(val ?? "");
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+// Yearly projection rows as CSV, one column per contribution bucket. Amounts are converted
+// at `rate` and headed with the currency they are in.
+export function projectionToCsv(rows, decades, accounts = [], withTax = false, { currency = DEFAULT_CURRENCY, rate = 1 } = {}) {
+  const columns = [
+    { key: "age", label: "Age" },
+    { key: "start", label: "Start balance" },
+    ...decades.map((d) => ({ key: d.key, label: `Ages ${d.label}` })),
+    ...accounts.map((acct) => ({ key: accountKey(acct.id), label: acct.name })),
+    { key: "total", label: "Total" },
+    { key: "contributions", label: "Contributions" },
+    { key: "interest", label: "Interest" },
+    { key: "principal", label: "Contributed in balance" },
+    { key: "growth", label: "Earned in balance" },
+    { key: "withdrawal", label: "Withdrawals" },
+    { key: "lumpSum", label: "One-off" },
+    ...(withTax ? [{ key: "taxPaid", label: "Tax paid" }, { key: "afterTax", label: "Total after tax" }] : []),
+  ];
+  const money = (c, val) => (c.key === "age" || val == null ? val : Math.round(val * rate));
+  const lines = [columns.map((c) => csvCell(c.key === "age" ? c.label : `${c.label} (${currency})`)).join(",")];
+  for (const row of rows) lines.push(columns.map((c) => csvCell(money(c, row[c.key]))).join(","));
+  return `${lines.join("\n")}\n`;
+}
+
+/* ─── Public API ─── */
+/**
+ * Thrown when a plan handed to the API is not usable as given.
+ * `issues` holds one note per problem, e.g. "savings segments were repaired".
+ */
+export class PlanValidationError extends Error {
+  constructor(issues) {
+    super(`Invalid plan: ${issues.join("; ")}`);
+    this.name = "PlanValidationError";
+    this.issues = issues;
+  }
+}
+
+// The normalized plan, or a PlanValidationError unless the caller accepts repairs
+function checkedPlan(plan, repair) {
+  if (!plan || typeof plan !== "object" || Array.isArray(plan)) {
+    throw new PlanValidationError(["plan must be an object"]);
+  }
+  const { plan: valid, issues } = validatePlan(plan);
+  if (issues.length > 0 && !repair) throw new PlanValidationError(issues);
+  return valid;
+}
+
+/**
+ * Projects a plan year by year.
+ *
+ * @param {object} plan A plan shaped like `defaultPlan()`. Missing fields get their defaults.
+ * @param {object} [options]
+ * @param {boolean} [options.repair=false] Repair malformed input instead of throwing.
+ * @returns {{ plan: object, decades: object[], rows: object[], depletionAge: number | null }}
+ *   The normalized plan, the contribution buckets and one nominal row per age. Each row
+ *   carries `total`, `contributions`, `interest`, `withdrawal`, `shortfall`, a cumulative
+ *   `priceIndex` (see `deflateRow`) and one key per account and decade bucket. `depletionAge` is the first
+ *   age at which withdrawals could not be met, or null.
+ * @throws {PlanValidationError} When the plan is not an object, or needed repairs and
+ *   `repair` is off.
+ */
+export function project(plan, { repair = false } = {}) {
+  const valid = checkedPlan(plan, repair);
+  const { decades, data } = projectPlan(valid);
+  return { plan: valid, decades, rows: data, depletionAge: depletionAge(data) };
+}
+
+/**
+ * Monte Carlo run of a plan, drawing each year's return from N(rate, volatility) of every
+ * segment. The same seed always gives the same paths.
+ *
+ * @param {object} plan A plan shaped like `defaultPlan()`.
+ * @param {object} [options]
+ * @param {number} [options.paths=1000] Number of paths, 100 to 10,000.
+ * @param {number} [options.seed=42] Seed of the random number generator.
+ * @param {number} [options.target] Nominal balance whose probability at the target age is reported.
+ * @param {boolean} [options.repair=false] Repair malformed input instead of throwing.
+ * @returns {{ plan: object, bands: { age: number, p10: number, p50: number, p90: number }[], probability: number | null }}
+ *   Percentile bands of the nominal total per age, and the share of paths at or above
+ *   `target` at the target age (null without a target).
+ * @throws {PlanValidationError} As for `project`.
+ */
+export function simulate(plan, { paths, seed, target, repair = false } = {}) {
+  const valid = checkedPlan(plan, repair);
+  const settings = normalizeSimulation({ paths, seed });
+  const { decades, resolution, data } = projectPlan(valid);
+  const { bands, totals } = simulateProjection(resolution, valid.profile, decades, settings);
+  const targetIdx = data.findIndex((row) => row.age === valid.profile.targetAge);
+  return {
+    plan: valid,
+    bands: bands.map((band, i) => ({ age: data[i].age, ...band })),
+    probability: target === undefined || targetIdx < 0 ? null : probabilityOfTarget(totals[targetIdx], target),
+  };
+}
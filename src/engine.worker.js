@@ -0,0 +1,54 @@
+// Runs ENGINE_TASKS off the main thread. Tasks take turns in short slices, so a cancel
+// message gets through between two slices and a newer request never waits for a stale one.
+//
+//   in:  { id, type, args } starts a task, { cancel: id } drops it
+//   out: { id, progress } after each slice, then { id, result } or { id, error }
+import { ENGINE_TASKS } from "./engine.js";
+
+const SLICE_MS = 20;
+const queue = []; // running tasks, the next one to get a slice first
+let scheduled = false;
+
+// A timeout rather than a MessageChannel, so incoming messages always get a turn in between
+function schedule() {
+  if (scheduled || queue.length === 0) return;
+  scheduled = true;
+  setTimeout(runSlice, 0);
+}
+
+function runSlice() {
+  scheduled = false;
+  const task = queue.shift();
+  if (!task) return;
+  const deadline = performance.now() + SLICE_MS;
+  try {
+    let step;
+    do {
+      step = task.steps.next();
+    } while (!step.done && performance.now() < deadline);
+    if (step.done) {
+      postMessage({ id: task.id, result: step.value });
+    } else {
+      queue.push(task);
+      postMessage({ id: task.id, progress: step.value });
+    }
+  } catch (e) {
+    postMessage({ id: task.id, error: e.message });
+  }
+  schedule();
+}
+
+self.onmessage = ({ data }) => {
+  if (data.cancel !== undefined) {
+    const idx = queue.findIndex((task) => task.id === data.cancel);
+    if (idx >= 0) queue.splice(idx, 1);
+    return;
+  }
+  const run = ENGINE_TASKS[data.type];
+  if (!run) {
+    postMessage({ id: data.id, error: `unknown task "${data.type}"` });
+    return;
+  }
+  queue.push({ id: data.id, steps: run(data.args) });
+  schedule();
+};
@@ -0,0 +1,247 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  actualsReport,
+  defaultAccount,
+  defaultPlan,
+  fitSegments,
+  moveDivider,
+  normalizePlan,
+  project,
+  projectPlan,
+  projectedAtAge,
+  removeDivider,
+  segmentsToPerYear,
+  splitSegment,
+  validatePlan,
+  withFlatValue,
+} from "../src/engine.js";
+
+const PROFILE = { currentAge: 18, startBalance: 0, retireAge: 60, targetAge: 65, endAge: 95 };
+
+// The total at the end of the year before `age`
+function totalAt(plan, age) {
+  return project(plan).rows.find((row) => row.age === age).total;
+}
+
+function annuity(payment, rate, periods) {
+  return (payment * ((1 + rate) ** periods - 1)) / rate;
+}
+
+describe("project", () => {
+  const years = PROFILE.retireAge - PROFILE.currentAge;
+
+  it("matches the future value of a monthly annuity paid at month end", () => {
+    const plan = defaultPlan(PROFILE);
+    assert.ok(Math.abs(totalAt(plan, PROFILE.retireAge) - annuity(200, 0.07 / 12, years * 12)) <= 1);
+  });
+
+  it("matches an annuity due when savings come in at month start", () => {
+    const plan = { ...defaultPlan(PROFILE), compounding: { frequency: "monthly", timing: "start" } };
+    const expected = annuity(200, 0.07 / 12, years * 12) * (1 + 0.07 / 12);
+    assert.ok(Math.abs(totalAt(plan, PROFILE.retireAge) - expected) <= 1);
+  });
+
+  it("compounds a start balance at the plan's frequency", () => {
+    const cases = [
+      { frequency: "annual", periods: 1 },
+      { frequency: "quarterly", periods: 4 },
+      { frequency: "monthly", periods: 12 },
+      { frequency: "daily", periods: 365 },
+    ];
+    for (const { frequency, periods } of cases) {
+      const base = defaultPlan({ ...PROFILE, startBalance: 10000 });
+      const plan = {
+        ...base,
+        savingsSegs: [{ from: PROFILE.currentAge, to: PROFILE.retireAge, value: 0 }],
+        compounding: { frequency, timing: "end" },
+      };
+      const expected = 10000 * (1 + 0.07 / periods) ** (periods * years);
+      assert.ok(Math.abs(totalAt(plan, PROFILE.retireAge) - expected) <= 1, `${frequency} compounding`);
+    }
+  });
+
+  it("keeps a 0% return at 0% after retirement", () => {
+    const base = defaultPlan({ ...PROFILE, startBalance: 100000 });
+    const plan = {
+      ...base,
+      savingsSegs: [{ from: PROFILE.currentAge, to: PROFILE.retireAge, value: 0 }],
+      interestSegs: [
+        { from: PROFILE.currentAge, to: 70, value: 5, vol: 15 },
+        { from: 71, to: PROFILE.endAge, value: 0, vol: 15 },
+      ],
+      withdrawalSegs: [{ from: PROFILE.retireAge + 1, to: PROFILE.endAge, value: 0 }],
+    };
+    const rows = project(plan).rows;
+    const at = (age) => rows.find((row) => row.age === age).total;
+    assert.equal(at(72), at(71));
+    assert.equal(at(80), at(71));
+  });
+});
+
+describe("validatePlan", () => {
+  it("keeps negative returns and inflation but repairs negative savings", () => {
+    const base = defaultPlan(PROFILE);
+    const interestSegs = [{ from: PROFILE.currentAge, to: PROFILE.endAge, value: -1, vol: 15 }];
+    const inflationSegs = [{ from: PROFILE.currentAge, to: PROFILE.endAge, value: -0.5 }];
+    const signed = validatePlan({ ...base, interestSegs, inflationSegs });
+    assert.deepEqual(signed.issues, []);
+    assert.deepEqual(signed.plan.interestSegs, interestSegs);
+    assert.deepEqual(signed.plan.inflationSegs, inflationSegs);
+    assert.ok(project({ ...base, interestSegs }).rows.every((row) => row.interest <= 0));
+
+    const savingsSegs = [{ from: PROFILE.currentAge, to: PROFILE.retireAge, value: -100 }];
+    const { plan, issues } = validatePlan({ ...base, savingsSegs });
+    assert.deepEqual(issues, ["savings segments were repaired"]);
+    assert.equal(plan.savingsSegs[0].value, 0);
+  });
+});
+
+describe("actualsReport", () => {
+  it("restarts every account from its own balance when an actual is on plan", () => {
+    const base = defaultPlan({ ...PROFILE, currentAge: 30 });
+    const cash = {
+      ...defaultAccount(base.profile, "cash"),
+      savingsSegs: [{ from: 30, to: 60, value: 1000 }],
+      interestSegs: [{ from: 30, to: 95, value: 0, vol: 0 }],
+    };
+    const plan = normalizePlan({ ...base, accounts: [cash], planStart: "2020-01" });
+    const { data } = projectPlan(plan);
+    const onPlan = projectedAtAge(data, plan.profile, 40).total;
+    const report = actualsReport({ ...plan, actuals: [{ id: "a", date: "2030-01-01", balance: onPlan }] }, data);
+    const at65 = (rows) => rows.find((row) => row.age === 65).total;
+    assert.equal(report.reprojected.fromAge, 40);
+    assert.ok(Math.abs(at65(report.reprojected.data) - at65(data)) <= 1);
+  });
+
+  it("keeps retirement and the withdrawal baseline when restarting after retirement", () => {
+    const base = defaultPlan({ currentAge: 60, startBalance: 1500000, retireAge: 60, targetAge: 65, endAge: 95 });
+    const plan = normalizePlan({
+      ...base,
+      withdrawalStrategy: "fixed",
+      withdrawalSegs: [{ from: 61, to: 95, value: 3000 }],
+      planStart: "2020-01",
+    });
+    const { data } = projectPlan(plan);
+    const onPlan = projectedAtAge(data, plan.profile, 70).total;
+    const report = actualsReport({ ...plan, actuals: [{ id: "a", date: "2030-01-01", balance: onPlan }] }, data);
+    const planned = data.find((row) => row.age === 71);
+    const restarted = report.reprojected.data.find((row) => row.age === 71);
+    assert.equal(restarted.withdrawal, planned.withdrawal);
+    assert.equal(restarted.contributions, planned.contributions);
+    assert.ok(Math.abs(restarted.total - planned.total) <= 1);
+  });
+});
+
+/* ─── Segment operations ─── */
+// Small seeded generator, so a failing case can be replayed
+function random(seed) {
+  let state = seed;
+  return (n) => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return Math.floor((state / 2147483648) * n);
+  };
+}
+
+function randomTrack(rand) {
+  const fromAge = 18 + rand(30);
+  const toAge = fromAge + rand(40);
+  const segments = [];
+  for (let from = fromAge; from <= toAge; ) {
+    const to = Math.min(toAge, from + rand(8));
+    segments.push({ from, to, value: rand(1000) });
+    from = to + 1;
+  }
+  return { fromAge, toAge, segments };
+}
+
+function assertTrack(segments, fromAge, toAge, context) {
+  assert.ok(segments.length > 0, `${context}: empty track`);
+  assert.equal(segments[0].from, fromAge, `${context}: starts at ${segments[0].from}`);
+  assert.equal(segments[segments.length - 1].to, toAge, `${context}: ends at ${segments[segments.length - 1].to}`);
+  segments.forEach((seg, i) => {
+    assert.ok(seg.from <= seg.to, `${context}: segment ${seg.from}-${seg.to} is empty`);
+    if (i > 0) assert.equal(seg.from, segments[i - 1].to + 1, `${context}: gap or overlap before ${seg.from}`);
+  });
+}
+
+describe("segment operations", () => {
+  const RUNS = 300;
+
+  it("splitSegment keeps the track contiguous and every year's value", () => {
+    const rand = random(1);
+    for (let run = 0; run < RUNS; run++) {
+      const { fromAge, toAge, segments } = randomTrack(rand);
+      const next = splitSegment(segments, rand(segments.length));
+      assertTrack(next, fromAge, toAge, `split run ${run}`);
+      assert.deepEqual(segmentsToPerYear(next, fromAge, toAge), segmentsToPerYear(segments, fromAge, toAge));
+    }
+  });
+
+  it("moveDivider keeps the track contiguous and the divider between its neighbours", () => {
+    const rand = random(2);
+    for (let run = 0; run < RUNS; run++) {
+      const { fromAge, toAge, segments } = randomTrack(rand);
+      if (segments.length < 2) continue;
+      const idx = rand(segments.length - 1);
+      const next = moveDivider(segments, idx, fromAge - 10 + rand(toAge - fromAge + 20));
+      assertTrack(next, fromAge, toAge, `move run ${run}`);
+      assert.equal(next.length, segments.length);
+      assert.equal(next[idx].from, segments[idx].from);
+      assert.equal(next[idx + 1].to, segments[idx + 1].to);
+    }
+  });
+
+  it("removeDivider keeps the track contiguous with one segment fewer", () => {
+    const rand = random(3);
+    for (let run = 0; run < RUNS; run++) {
+      const { fromAge, toAge, segments } = randomTrack(rand);
+      if (segments.length < 2) continue;
+      const next = removeDivider(segments, rand(segments.length - 1));
+      assertTrack(next, fromAge, toAge, `remove run ${run}`);
+      assert.equal(next.length, segments.length - 1);
+    }
+  });
+
+  it("fitSegments covers exactly the new range and keeps the values inside it", () => {
+    const rand = random(4);
+    for (let run = 0; run < RUNS; run++) {
+      const { fromAge, toAge, segments } = randomTrack(rand);
+      const newFrom = fromAge - 10 + rand(toAge - fromAge + 20);
+      const newTo = newFrom + rand(50);
+      const next = fitSegments(segments, newFrom, newTo);
+      assertTrack(next, newFrom, newTo, `fit run ${run}`);
+      const before = segmentsToPerYear(segments, fromAge, toAge);
+      const after = segmentsToPerYear(next, newFrom, newTo);
+      for (let age = Math.max(fromAge, newFrom); age <= Math.min(toAge, newTo); age++) {
+        assert.equal(after[age], before[age], `fit run ${run}: value at ${age}`);
+      }
+    }
+  });
+
+  it("withFlatValue sets only the given ages", () => {
+    const rand = random(5);
+    for (let run = 0; run < RUNS; run++) {
+      const { fromAge, toAge, segments } = randomTrack(rand);
+      const from = fromAge + rand(toAge - fromAge + 1);
+      const to = from + rand(toAge - from + 1);
+      const next = withFlatValue(segments, from, to, 1234);
+      assertTrack(next, fromAge, toAge, `flat run ${run}`);
+      const before = segmentsToPerYear(segments, fromAge, toAge);
+      const after = segmentsToPerYear(next, fromAge, toAge);
+      for (let age = fromAge; age <= toAge; age++) {
+        assert.equal(after[age], age >= from && age <= to ? 1234 : before[age], `flat run ${run}: value at ${age}`);
+      }
+    }
+  });
+
+  it("keeps ramps and growth on the same curve when split and refitted", () => {
+    const ramp = { from: 25, to: 35, value: 200, type: "ramp", end: 800 };
+    const growth = { from: 36, to: 50, value: 800, type: "growth", growth: 3 };
+    const track = [ramp, growth];
+    const perYear = segmentsToPerYear(track, 25, 50);
+    assert.deepEqual(segmentsToPerYear(splitSegment(splitSegment(track, 1), 0), 25, 50), perYear);
+    const fitted = segmentsToPerYear(fitSegments(track, 30, 45), 30, 45);
+    for (let age = 30; age <= 45; age++) assert.equal(fitted[age], perYear[age]);
+  });
+});